@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * Bewe batch evaluator
+ * -------------------------------------------------------------
+ * Scores many markets at once with the same engine the simulator UI uses
+ * (grandScore01 → probabilityToDisplace) and prints one ranked row per market × competitor.
+ *
+ * Usage
+ *   node bewe_batch_evaluate.mjs [options] <file|directory>...
+ *
+ * Inputs (directories are scanned for *.json and *.csv, non‑recursively)
+ * - Scenario JSON exported from the UI ({ format: "bewe-scenario", version: 1 }): framework,
+ *   weights, every side's scores and the model are taken from the file. An optional top‑level
+ *   "market" names the market; otherwise the file name does. Files with a "portfolio" yield
+ *   every market in it (each with its own competitors, maturity and shock).
+ * - Score grid CSV exported from the UI (pillar, item, label, w, You, <rival>...): scored on the
+ *   default framework and weights, with the model from --maturity / --k / --shock / --model.
+ *   Every side must be scored on every sub‑criterion.
+ *
+ * Output
+ * - Rows ranked by probability to displace (highest first), with both grand scores (0–10),
+ *   the gap and one gap column per pillar (you − rival, 0–10), plus the market‑level
+ *   P(leader) and P(all rivals)
+ * - --format table (default), json or csv; --out writes to a file instead of stdout
+ * - Files that fail validation are reported on stderr (and under "errors" in JSON) and the
+ *   exit code is 1; the remaining files are still evaluated
+ */
+import { readFileSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_WEIGHTS,
+  SUBS,
+  DEFAULT_THETA_MAP,
+  PROBABILITY_MODELS,
+  DEFAULT_MODEL,
+  ScoringInputError,
+  pillarScore,
+  evaluateMarket,
+  csvCell,
+  readScenarioJson,
+  readScoreGrid,
+} from "./bewe_scoring_engine.mjs";
+
+const FORMATS = ["table", "json", "csv"];
+
+const USAGE = `Usage: node bewe_batch_evaluate.mjs [options] <file|directory>...
+
+Options
+  --format <table|json|csv>  Output format (default: table)
+  --out <file>               Write the output to a file instead of stdout
+  --maturity <0-10>          Model for CSV grids: market maturity (default: 6)
+  --k <number>               Model for CSV grids: steepness k (default: 8)
+  --shock <number>           Model for CSV grids: external shock (default: 0)
+  --model <kind>             Model for CSV grids: ${PROBABILITY_MODELS.join(", ")} (default: logistic)
+  -h, --help                 Show this help`;
+
+const round2 = (x) => Math.round(x * 100) / 100;
+const round4 = (x) => Math.round(x * 10000) / 10000;
+
+// ----- Inputs -----
+const listFiles = (paths) =>
+  paths.flatMap((p) =>
+    statSync(p).isDirectory()
+      ? readdirSync(p)
+          .filter((f) => [".json", ".csv"].includes(extname(f).toLowerCase()))
+          .sort()
+          .map((f) => join(p, f))
+      : [p]
+  );
+
+const marketName = (file) => basename(file, extname(file));
+
+// Scenario file → evaluateMarket inputs (one per portfolio market), validated like the UI's import
+const scenarioInputs = (file, text) => {
+  const { scenario, data, errors } = readScenarioJson(text);
+  if (errors) throw new ScoringInputError(errors);
+  const { subs, weights, you, model, portfolio } = scenario;
+  const shared = { subs, weights, you, k: model.steepness, thetaMap: model.thetaMap, model: model.probability };
+  // The top‑level competitors & model are the market that was open when the file was saved
+  const open = {
+    name: typeof data.market === "string" && data.market.trim() ? data.market.trim() : marketName(file),
+    competitors: scenario.competitors,
+    maturity: model.maturity,
+    shock: model.shock,
+  };
+  const markets = portfolio ? portfolio.markets.map((m) => (m.id === portfolio.activeId ? { ...open, name: m.name } : m)) : [open];
+  return markets.map((m) => ({ ...shared, market: m.name, competitors: m.competitors, maturity: m.maturity, shock: m.shock }));
+};
+
+// Score grid → evaluateMarket inputs on the default framework; blank cells stay missing and
+// are reported by the engine
+const gridInputs = (file, text, model) => {
+  const { sides, errors } = readScoreGrid(text, SUBS);
+  if (errors) throw new ScoringInputError(errors);
+  const you = sides.find((sd) => sd.name.toLowerCase() === "you");
+  if (!you) throw new ScoringInputError('CSV needs a "You" column');
+  return {
+    market: marketName(file),
+    subs: SUBS,
+    weights: DEFAULT_WEIGHTS,
+    you: you.scores,
+    competitors: sides.filter((sd) => sd !== you),
+    thetaMap: DEFAULT_THETA_MAP,
+    ...model,
+  };
+};
+
+// ----- Evaluation -----
+const evaluateMarketRows = (file, { market, ...inputs }) => {
+  let outlook;
+  try {
+    outlook = evaluateMarket(inputs);
+  } catch (e) {
+    if (e instanceof ScoringInputError) throw new ScoringInputError(e.errors.map((m) => `${market}: ${m}`));
+    throw e;
+  }
+  const { subs, you } = inputs;
+  return outlook.rows.map((r) => ({
+    market,
+    file,
+    competitor: r.name,
+    leader: r === outlook.leader,
+    you_score: round2(outlook.you01 * 10),
+    rival_score: round2(r.score01 * 10),
+    gap: round2((outlook.you01 - r.score01) * 10),
+    p: round4(r.p),
+    p_leader: round4(outlook.pLeader),
+    p_all: round4(outlook.pAll),
+    gaps: Object.fromEntries(Object.keys(subs).map((pk) => [pk, round2(pillarScore(pk, you[pk], subs) - pillarScore(pk, r.scores[pk], subs))])),
+    labels: Object.fromEntries(Object.entries(subs).map(([pk, def]) => [pk, def.short ?? def.label])),
+  }));
+};
+
+const evaluateFile = (file, model) => {
+  const text = readFileSync(file, "utf8");
+  const markets = extname(file).toLowerCase() === ".csv" ? [gridInputs(file, text, model)] : scenarioInputs(file, text);
+  return markets.flatMap((m) => evaluateMarketRows(file, m));
+};
+
+// ----- Output -----
+const FIXED_COLUMNS = ["rank", "market", "competitor", "leader", "you_score", "rival_score", "gap", "p", "p_leader", "p_all"];
+
+// Pillar gap columns: union over all files, in first‑seen order
+const pillarColumns = (rows) => {
+  const cols = new Map();
+  for (const r of rows) for (const pk of Object.keys(r.gaps)) if (!cols.has(pk)) cols.set(pk, r.labels[pk]);
+  return [...cols];
+};
+
+const flatRow = (r, pillars) => ({
+  rank: r.rank,
+  market: r.market,
+  competitor: r.competitor,
+  leader: r.leader,
+  you_score: r.you_score,
+  rival_score: r.rival_score,
+  gap: r.gap,
+  p: r.p,
+  p_leader: r.p_leader,
+  p_all: r.p_all,
+  ...Object.fromEntries(pillars.map(([pk]) => [`gap_${pk}`, r.gaps[pk] ?? ""])),
+});
+
+const toCsv = (rows, pillars) => {
+  const header = [...FIXED_COLUMNS, ...pillars.map(([pk]) => `gap_${pk}`)];
+  return [header, ...rows.map((r) => Object.values(flatRow(r, pillars)))].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+};
+
+const pct = (p) => `${(p * 100).toFixed(1)}%`;
+const signed = (x) => (x > 0 ? `+${x.toFixed(2)}` : x.toFixed(2));
+
+const toTable = (rows, pillars) => {
+  const header = ["#", "Market", "Competitor", "You", "Rival", "Gap", "P(displace)", "P(leader)", "P(all)", ...pillars.map(([, label]) => `Δ ${label}`)];
+  const body = rows.map((r) => [
+    String(r.rank),
+    r.market,
+    r.competitor + (r.leader ? " *" : ""),
+    r.you_score.toFixed(2),
+    r.rival_score.toFixed(2),
+    signed(r.gap),
+    pct(r.p),
+    pct(r.p_leader),
+    pct(r.p_all),
+    ...pillars.map(([pk]) => (pk in r.gaps ? signed(r.gaps[pk]) : "")),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map((b) => b[i].length)));
+  const line = (cells) => cells.map((c, i) => (i <= 2 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ").trimEnd();
+  return [line(header), widths.map((w) => "-".repeat(w)).join("  "), ...body.map(line), "", "* = market leader (highest‑scoring rival)"].join("\n") + "\n";
+};
+
+// ----- Main -----
+const main = (argv) => {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", default: "table" },
+        out: { type: "string" },
+        maturity: { type: "string", default: "6" },
+        k: { type: "string", default: "8" },
+        shock: { type: "string", default: "0" },
+        model: { type: "string", default: "logistic" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!positionals.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (!FORMATS.includes(values.format)) {
+    console.error(`--format must be one of ${FORMATS.join(", ")}`);
+    return 2;
+  }
+  const params = { maturity: Number(values.maturity), k: Number(values.k), shock: Number(values.shock) };
+  const badOption = Object.keys(params).find((key) => !Number.isFinite(params[key]));
+  if (badOption) {
+    console.error(`--${badOption} must be a number`);
+    return 2;
+  }
+  if (!PROBABILITY_MODELS.includes(values.model)) {
+    console.error(`--model must be one of ${PROBABILITY_MODELS.join(", ")}`);
+    return 2;
+  }
+  const model = { ...params, model: { ...DEFAULT_MODEL, kind: values.model } };
+
+  let files;
+  try {
+    files = listFiles(positionals);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const rows = [];
+  const failures = [];
+  for (const file of files) {
+    try {
+      rows.push(...evaluateFile(file, model));
+    } catch (e) {
+      if (!(e instanceof ScoringInputError) && e.code !== "ENOENT" && e.code !== "EISDIR") throw e;
+      failures.push({ file, errors: e.errors ?? [e.message] });
+    }
+  }
+  rows.sort((a, b) => b.p - a.p || a.market.localeCompare(b.market) || a.competitor.localeCompare(b.competitor));
+  rows.forEach((r, i) => (r.rank = i + 1));
+  const pillars = pillarColumns(rows);
+
+  const output =
+    values.format === "json"
+      ? JSON.stringify({ generatedAt: new Date().toISOString(), rows: rows.map((r) => ({ ...flatRow(r, []), file: r.file, gaps: r.gaps })), errors: failures }, null, 2) + "\n"
+      : values.format === "csv"
+        ? toCsv(rows, pillars)
+        : toTable(rows, pillars);
+  if (values.out) writeFileSync(values.out, output);
+  else process.stdout.write(output);
+
+  for (const f of failures) {
+    console.error(`${f.file}:`);
+    for (const e of f.errors) console.error(`  ${e}`);
+  }
+  return failures.length ? 1 : 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
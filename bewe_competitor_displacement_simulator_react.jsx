@@ -1,4 +1,6 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useRef, useCallback } from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
 import { motion } from "framer-motion";
 import {
   Radar,
@@ -16,7 +18,47 @@ import {
   BarChart,
   Bar,
   Legend,
+  ScatterChart,
+  Scatter,
+  Cell,
+  LabelList,
+  ReferenceLine,
 } from "recharts";
+import {
+  clamp01,
+  DEFAULT_WEIGHTS,
+  SUBS,
+  DEFAULT_SCORES,
+  FALLBACK_SCORE,
+  mkDefaultScores,
+  DEFAULT_THETA_MAP,
+  validateFramework,
+  pillarScore,
+  grandScore01,
+  logistic,
+  probabilityToDisplace,
+  marketOutlook,
+  PROBABILITY_MODELS,
+  DEFAULT_MODEL,
+  validateModel,
+  floorBreaches,
+  modelProbability,
+  MAPPING_CURVES,
+  validateMapping,
+  metricToScore,
+  applyMetricMappings,
+  AGGREGATIONS,
+  consensusScores,
+  scoreDisagreement,
+  csvCell,
+  parseCsv,
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  GRID_FIXED,
+  readScenarioJson,
+  readScoreGrid,
+} from "./bewe_scoring_engine.mjs";
+import { syncRequest, createWorkspaceRecords } from "./bewe_workspace_sync.mjs";
 
 /**
  * Bewe Competitor Displacement Simulator
@@ -24,14 +66,19 @@ import {
  * What it does
  * - Lets you rate 5 pillars (0–10) via detailed sub‑criteria
  * - Weights pillars by strategic importance (Product & Ops/CS highest)
- * - Compares YOU vs. a Competitor
- * - Converts scores to a % "probability to displace competitor"
- * - Saves snapshots over time (localStorage) so you can track progress
+ * - Compares YOU vs. several named Competitors (same sub‑criteria for everyone)
+ * - Converts scores to a % "probability to displace competitor", per rival
+ * - Market view: chance to displace the leader and to displace every rival
+ * - Autosaves named workspaces (IndexedDB) with snapshots over time so you can track progress
  * - Includes interactive charts: radar (shape), bar (pillar gap), line (trend)
  *
  * Where to use it
  * - In this chat: it renders live in the preview.
  * - Elsewhere: paste the component into a React project as App.jsx (Vite/Cra/Next) and ensure `recharts` and `framer-motion` are installed.
+ * - The scoring model itself lives in bewe_scoring_engine.mjs (no React): copy it next to App.jsx.
+ *   Scripts and report jobs can import it directly (see its header for the API).
+ * - Batch: `node bewe_batch_evaluate.mjs <scenario files or folders>` ranks many markets at once
+ *   from exported scenario JSON / score‑grid CSV files (table, JSON or CSV output).
  *
  * Pillars & default weights (sum = 1)
  * - Product .................................... 0.30
@@ -46,120 +93,253 @@ import {
  * - Market maturity raises the bar to flip a market: threshold θ = map(maturity)
  * - Convert to probability with a logistic (sigmoid) P = 1/(1+e^{−k(Δ−θ)})
  * - k controls steepness (sensitivity). Both θ and k are adjustable below.
+ *
+ * Market view (several rivals)
+ * - Leader = rival with the highest weighted score
+ * - P(leader) = P computed against the leader only
+ * - P(all) = Π P_i, i.e. each head‑to‑head treated as independent
+ *
+ * Uncertainty (Monte Carlo)
+ * - Every sub‑criterion and model parameter can carry a ± spread
+ * - Spreads are sampled (uniform, triangular or normal with ±spread ≈ 2σ) with a seeded RNG
+ * - Each run goes through the same grandScore01 → probability model path
+ * - Result: P10/P50/P90 band on the gauge and a histogram of outcomes
+ *
+ * Sensitivity (tornado)
+ * - Levers: every sub‑criterion (you & selected rival), every pillar weight, maturity, k, shock
+ * - Each lever is moved ± a share of its scale; the probability swing ranks the tornado
+ * - Moving one weight rescales the others so weights still sum to 1
+ *
+ * Investment optimizer
+ * - Each of your sub‑criteria has a cost per +1 point and a max achievable gain
+ * - Greedy heuristic: repeatedly buy the +0.5 step with the best probability gain per cost
+ *   until the target probability is reached (or the budget runs out)
+ * - Not guaranteed to be the cheapest mix: the last step can overshoot the target, and a
+ *   step that looks poor on its own can pay off in combination; treat the plan as a sensible
+ *   starting point, not the minimum cost
+ *
+ * Strategy roadmap (time simulation)
+ * - Your plan: score changes scheduled per quarter
+ * - Rival moves: drift (every quarter), counter‑investment (one quarter), or a
+ *   reaction rule that fires each quarter your pillar lead exceeds a threshold
+ * - Each quarter: apply your plan → rival drift/investments → reactions (judged
+ *   on the lead after your moves) → score every side and convert to P
+ *
+ * Snapshots
+ * - Each snapshot stores the full inputs (scores for every side, weights, maturity, k, shock) and a note
+ * - Restore loads a snapshot back into the editors; older { t, p } snapshots can only be charted
+ * - Diff A → B lists every changed input and attributes ΔP to each one:
+ *   effect_i = ½·[(P(A with i from B) − P(A)) + (P(B) − P(B with i from A))],
+ *   the remainder is reported as interaction
+ *
+ * Scenario files
+ * - JSON: the full scenario (all sides, weights, framework, model, history, plans) with
+ *   { format: "bewe-scenario", version } and field‑by‑field validation on import
+ * - CSV: the sub‑criteria grid only (one row per sub‑criterion, one column per side)
+ *   so analysts can fill scores in a spreadsheet; blank cells keep the current value
+ *
+ * Framework
+ * - Pillars, sub‑criteria and internal weights w are live state ("subs", same shape as SUBS)
+ * - Every computation and chart iterates the framework; adding/removing pillars or items
+ *   re‑fits scores, weights, costs and roadmap moves (new entries start at defaults)
+ * - Each pillar's internal w should sum to 1.00; the editor flags pillars that don't
+ * - Named templates: built‑ins plus your own, saved in localStorage
+ *
+ * Share links
+ * - The live state (framework if not the default, weights, every side's scores, maturity, k,
+ *   shock) is serialized into the URL hash as #s=<base64url JSON> and kept in sync as you edit
+ * - Payload carries a version and the "pillar.item" order of its score arrays, so links keep
+ *   loading after sub‑criteria are added/removed (unknown ones are dropped, new ones defaulted)
+ *
+ * Calibration
+ * - Load past markets (our score, rival score, maturity, optional shock, displaced yes/no)
+ * - P = σ(k·(Δ − base − slope·maturity/10)) is a logistic regression on [1, Δ, maturity/10],
+ *   fitted by maximum likelihood (Newton–Raphson, tiny ridge so separable data stay finite)
+ * - Reports log‑loss, Brier score and a calibration plot vs. the live model; "Apply" copies
+ *   k and the θ mapping into the live model
+ *
+ * Market portfolio
+ * - Markets (cities) each carry their own maturity, shock, competitor set and size (revenue
+ *   potential); your scores, the weights and the model (k, θ) are shared
+ * - The editors show the open market; opening another parks the current one in the portfolio
+ * - Ranked by P (against the leader, or against all rivals) or by expected value EV = P × size
+ * - 2×2: P vs. size, split at 50% and the median size → attack now / build, then attack /
+ *   quick win / deprioritize
+ * - Saved in the scenario JSON ("portfolio"); share links carry the open market only
+ *
+ * Evidence & audit
+ * - Every score (you and each rival) can carry a rationale, links, attached files (stored
+ *   inline, ≤ 512 KB each) and a confidence level; 📎 next to a slider opens it
+ * - Each slider or evidence edit records who ("Editing as", kept in localStorage), when, and
+ *   the score at that moment, so the audit can flag scores changed elsewhere since
+ * - The audit lists every score with its provenance and flags scores without links/files;
+ *   evidence is saved in the scenario JSON (not in share links or snapshots)
+ * - Rival evidence belongs to its market (a market copied from another starts without it);
+ *   your own evidence is shared by every market
+ *
+ * Metric mappings
+ * - A sub‑criterion can be mapped to a raw metric (uptime %, resolution hours, churn, CAC
+ *   payback, win rate) through a curve: linear (value → 0 and → 10), thresholds (best step
+ *   reached) or benchmark percentile (share of peer values beaten)
+ * - Entering the metric under a slider derives that score (the slider then shows its source
+ *   and is locked); clearing it makes the score manual again
+ * - Mappings and metrics are saved in the scenario JSON; the curves live in the engine
+ *
+ * Assessors
+ * - "Score as a team" lets several people (product, sales, CS, exec) score the same grid;
+ *   pick the active assessor and the sliders record their scores only
+ * - The consensus (mean, median or role‑weighted mean) feeds the model; items nobody scored
+ *   keep their previous value
+ * - Shows P(displace) per assessor and lists sub‑criteria where assessors differ by 2+ points
+ * - Evidence entries are stamped with the active assessor; the team is saved in the scenario JSON
+ *
+ * Executive report
+ * - One click exports a self‑contained HTML board pack of the open market: headline probability,
+ *   advantage Δ, model settings, pillar and sub‑criterion tables for every side, gauge, radar,
+ *   gap and trend charts, the top sensitivity levers and the snapshot history
+ * - "Print / Save as PDF" opens the same report in a print window (A4, page breaks between blocks)
+ * - The report (and its sensitivity levers) is only rendered while previewing or exporting, so
+ *   editing the scenario never redraws it
+ *
+ * Probability models
+ * - The logistic on Δ is one of several models (engine: modelProbability): pillar floors
+ *   (non‑compensatory — a pillar or sub‑criterion below its floor cuts P however strong the rest
+ *   is), Bradley–Terry (strength ratio) and probit (Thurstone–Mosteller)
+ * - The selected model drives every probability in the app (gauge, Monte Carlo, sensitivity,
+ *   optimizer, roadmap, portfolio); a table compares all models on the same inputs
+ * - Saved in scenario files, snapshots and share links; calibration still fits the logistic's k, θ
+ *
+ * Goal seek
+ * - Pick a target probability and one free variable (any sub‑criterion for either side, a pillar
+ *   weight, maturity, k or shock); bisection on the live model finds the value that reaches it
+ * - Reports when the target is out of reach over the variable's whole range (and the closest P),
+ *   and "Apply" writes the solved value back into the scenario; k and shock are searched within
+ *   their sliders' ranges so the applied value can be edited further
+ *
+ * Workspaces
+ * - Named workspaces (new, duplicate, rename, delete) each hold a full scenario and autosave to
+ *   IndexedDB shortly after every change; the last one reopens on reload, and a share link that
+ *   differs from it (on load or pasted into the tab) opens as a workspace of its own
+ * - Undo / redo (buttons or Ctrl/⌘+Z, Ctrl/⌘+Shift+Z) steps through the last 50 changes of the
+ *   open workspace; a slider drag counts as one change
+ * - Optional team sync: run `node bewe_sync_server.mjs [--port 8787] [--token …]` and connect to it;
+ *   workspaces are pulled and pushed by revision, and a workspace edited on both sides while
+ *   apart (including edits not autosaved yet) asks whether to load the server's copy or keep
+ *   yours; loading it is a step you can undo
+ * - Deleting a shared workspace asks first and deletes it for everyone (sent on the next sync if
+ *   the server is unreachable); a copy deleted by a teammate disappears here unless it has edits
+ *   not pushed yet, which are kept as a new workspace
  */
 
 // ----- Utility -----
-const clamp01 = (x) => Math.max(0, Math.min(1, x));
 const round1 = (x) => Math.round(x * 10) / 10;
+const uid = () => Math.random().toString(36).slice(2, 9);
+const isObj = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+
+// Series colours for charts that overlay several sides (index 0 = you)
+const SERIES_COLORS = ["#2563eb", "#dc2626", "#d97706", "#7c3aed", "#059669", "#db2777"];
 
-// Default pillar weights (you can edit these in the UI too)
-const DEFAULT_WEIGHTS = {
-  product: 0.30,
-  ops: 0.30, // Operations & Customer Service combined
-  sales: 0.18,
-  pioneering: 0.12,
-  marketing: 0.10,
+// Rounded pillar scores for every pillar in the framework (charts & tables)
+const pillarScores = (scores, subs) =>
+  Object.fromEntries(Object.keys(subs).map((k) => [k, round1(pillarScore(k, scores[k], subs))]));
+
+const mkCompetitor = (name, subs) => ({ id: uid(), name, scores: mkDefaultScores(subs) });
+
+// ----- Monte Carlo -----
+// Seedable PRNG (mulberry32): same seed → same runs, so results are reproducible
+const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 };
 
-// Sub‑criteria with internal weights based on common SaaS/service research
-const SUBS = {
-  product: {
-    label: "Product",
-    items: [
-      { key: "pmf", label: "Product–Market Fit", w: 0.30 },
-      { key: "reliability", label: "Reliability/Uptime", w: 0.20 },
-      { key: "ux", label: "UX & Usability", w: 0.20 },
-      { key: "featureParity", label: "Core Feature Parity/Edge", w: 0.20 },
-      { key: "dataSecurity", label: "Data & Security/Compliance", w: 0.10 },
-    ],
-  },
-  ops: {
-    label: "Operations & Customer Service",
-    items: [
-      { key: "onboarding", label: "Onboarding Speed/Clarity", w: 0.25 },
-      { key: "supportSLA", label: "Support SLA & Resolution", w: 0.25 },
-      { key: "retention", label: "Retention/Churn Control", w: 0.25 },
-      { key: "quality", label: "Ops Quality/Field Execution", w: 0.25 },
-    ],
-  },
-  sales: {
-    label: "Sales",
-    items: [
-      { key: "coverage", label: "Territory Coverage/Activity", w: 0.30 },
-      { key: "conversion", label: "Conversion & Win Rate", w: 0.30 },
-      { key: "expansion", label: "Expansion/ARPA Growth", w: 0.20 },
-      { key: "unitEconomics", label: "CAC Payback/Unit Econ.", w: 0.20 },
-    ],
-  },
-  pioneering: {
-    label: "Pioneering",
-    items: [
-      { key: "firstMover", label: "First‑Mover/Timing Edge", w: 0.30 },
-      { key: "networkEffects", label: "Network Effects/Lock‑in", w: 0.40 },
-      { key: "brandAuthority", label: "Category Authority/PR", w: 0.30 },
-    ],
-  },
-  marketing: {
-    label: "Marketing",
-    items: [
-      { key: "reach", label: "Reach/Share of Voice", w: 0.30 },
-      { key: "targeting", label: "Targeting/Creative Fit", w: 0.30 },
-      { key: "costEfficiency", label: "Cost Efficiency (CAC)", w: 0.25 },
-      { key: "community", label: "Community/Influencer Leverage", w: 0.15 },
-    ],
+const DISTRIBUTIONS = {
+  uniform: { label: "Uniform", draw: (rng) => 2 * rng() - 1 },
+  triangular: { label: "Triangular", draw: (rng) => rng() + rng() - 1 },
+  normal: {
+    label: "Normal (±spread ≈ 2σ)",
+    draw: (rng) => {
+      const u = 1 - rng(); // avoid log(0)
+      return (Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng())) / 2;
+    },
   },
 };
 
-// Sensible defaults (middle-ish) so you can start adjusting quickly
-const mkDefaultScores = () => ({
-  product: { pmf: 6, reliability: 6, ux: 6, featureParity: 6, dataSecurity: 6 },
-  ops: { onboarding: 6, supportSLA: 6, retention: 6, quality: 6 },
-  sales: { coverage: 5, conversion: 5, expansion: 5, unitEconomics: 5 },
-  pioneering: { firstMover: 5, networkEffects: 5, brandAuthority: 5 },
-  marketing: { reach: 5, targeting: 5, costEfficiency: 5, community: 5 },
-});
+const DEFAULT_PARAM_SPREADS = { maturity: 0, k: 0, shock: 0 };
 
-// Compute weighted pillar score from sub‑criteria (0–10)
-const pillarScore = (pillarKey, valuesObj) => {
-  const def = SUBS[pillarKey];
-  let sum = 0;
-  for (const item of def.items) {
-    sum += (valuesObj[item.key] ?? 0) * item.w;
-  }
-  return sum; // already on 0–10 scale because subs are 0–10
-};
+const sampleAround = (rng, dist, center, spread, lo = -Infinity, hi = Infinity) =>
+  spread > 0 ? Math.max(lo, Math.min(hi, center + spread * DISTRIBUTIONS[dist].draw(rng))) : center;
 
-// Compute grand score (0–10), then normalize to 0–1
-const grandScore01 = (weights, scores) => {
-  const w = weights;
-  const p = pillarScore("product", scores.product);
-  const o = pillarScore("ops", scores.ops);
-  const s = pillarScore("sales", scores.sales);
-  const n = pillarScore("pioneering", scores.pioneering);
-  const m = pillarScore("marketing", scores.marketing);
-  const total = w.product * p + w.ops * o + w.sales * s + w.pioneering * n + w.marketing * m;
-  return clamp01(total / 10); // normalize
-};
+// spreads: { pillarKey: { itemKey: ± } } — missing entries mean "no uncertainty"
+const sampleScores = (rng, dist, scores, spreads = {}, subs) =>
+  Object.fromEntries(
+    Object.entries(subs).map(([pk, def]) => [
+      pk,
+      Object.fromEntries(
+        def.items.map((it) => [it.key, sampleAround(rng, dist, scores[pk][it.key], spreads[pk]?.[it.key] ?? 0, 0, 10)])
+      ),
+    ])
+  );
 
-// Map market maturity (0–10) to displacement threshold θ in score units (0–1)
-// Early markets (0–3) have lower threshold; mature markets (7–10) higher.
-const maturityToTheta = (maturity) => {
-  const x = maturity / 10; // 0–1
-  // θ ranges ~0.10 → 0.30
-  return 0.10 + 0.20 * x;
+const quantile = (sorted, q) => {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
 };
 
-// Logistic conversion with adjustable steepness k
-const logistic = (x) => 1 / (1 + Math.exp(-x));
+// Run `runs` samples; spreads.sides is keyed by "you" or competitor id
+const runMonteCarlo = ({ subs, weights, you, competitors, focusId, maturity, k, shock, thetaMap, model, spreads, dist, runs, seed }) => {
+  const rng = mulberry32(seed);
+  const focus = [];
+  const all = [];
+  for (let i = 0; i < runs; i++) {
+    const youSample = sampleScores(rng, dist, you, spreads.sides.you, subs);
+    const you01 = grandScore01(weights, youSample, subs);
+    const rivals = competitors.map((c) => ({
+      id: c.id,
+      score01: grandScore01(weights, sampleScores(rng, dist, c.scores, spreads.sides[c.id], subs), subs),
+    }));
+    const o = marketOutlook({
+      you01,
+      rivals,
+      maturity: sampleAround(rng, dist, maturity, spreads.params.maturity, 0, 10),
+      k: sampleAround(rng, dist, k, spreads.params.k, 0),
+      shock: sampleAround(rng, dist, shock, spreads.params.shock),
+      thetaMap,
+      model,
+      you: youSample,
+      subs,
+    });
+    focus.push(o.rows.find((r) => r.id === focusId).p);
+    all.push(o.pAll);
+  }
+  focus.sort((a, b) => a - b);
+  all.sort((a, b) => a - b);
+
+  const bins = 20;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ bin: `${i * 5}–${i * 5 + 5}%`, x: i * 5, n: 0 }));
+  for (const p of focus) histogram[Math.min(bins - 1, Math.floor(p * bins))].n += 1;
 
-const probabilityToDisplace = ({ you01, comp01, maturity = 6, k = 8, shock = 0 }) => {
-  const delta = you01 - comp01 + shock; // positive means you're stronger
-  const theta = maturityToTheta(maturity); // how much edge you need to flip the market
-  const z = k * (delta - theta);
-  return clamp01(logistic(z));
+  return {
+    p10: quantile(focus, 0.1),
+    p50: quantile(focus, 0.5),
+    p90: quantile(focus, 0.9),
+    mean: focus.reduce((a, b) => a + b, 0) / (focus.length || 1),
+    all: { p10: quantile(all, 0.1), p50: quantile(all, 0.5), p90: quantile(all, 0.9) },
+    histogram,
+  };
 };
 
-const Gauge = ({ value }) => {
+// band: optional { p10, p50, p90 } from the Monte Carlo run, drawn as an outer arc
+const Gauge = ({ value, band }) => {
   // Simple semi‑circular gauge using SVG
   const pct = clamp01(value);
   const angle = 180 * pct; // 0..180 deg
@@ -170,9 +350,24 @@ const Gauge = ({ value }) => {
   const endY = cy - r * Math.sin(Math.PI - (angle * Math.PI) / 180);
   const largeArc = angle > 180 ? 1 : 0; // never true here but kept for clarity
   const path = `M ${cx - r} ${cy} A ${r} ${r} 0 ${largeArc} 1 ${cx + r} ${cy}`;
+  const at = (p, radius) => [
+    cx + radius * Math.cos(Math.PI - Math.PI * clamp01(p)),
+    cy - radius * Math.sin(Math.PI - Math.PI * clamp01(p)),
+  ];
+  const br = r + 14;
+  const [b1x, b1y] = band ? at(band.p10, br) : [0, 0];
+  const [b2x, b2y] = band ? at(band.p90, br) : [0, 0];
+  const [m1x, m1y] = band ? at(band.p50, br - 5) : [0, 0];
+  const [m2x, m2y] = band ? at(band.p50, br + 5) : [0, 0];
   return (
     <svg viewBox="0 0 240 140" className="w-full">
       <path d={path} fill="none" strokeWidth="16" strokeOpacity={0.15} />
+      {band && (
+        <g stroke="#d97706">
+          <path d={`M ${b1x} ${b1y} A ${br} ${br} 0 0 1 ${b2x} ${b2y}`} fill="none" strokeWidth="6" strokeOpacity={0.6} />
+          <line x1={m1x} y1={m1y} x2={m2x} y2={m2y} strokeWidth="3" />
+        </g>
+      )}
       <path
         d={`M ${cx - r} ${cy} A ${r} ${r} 0 ${largeArc} 1 ${endX} ${endY}`}
         fill="none"
@@ -198,23 +393,47 @@ const Section = ({ title, children, right }) => (
   </div>
 );
 
-const Slider = ({ label, value, onChange }) => (
+// spread/onSpreadChange are optional: when given, a ± input for Monte Carlo is shown
+const Slider = ({ label, value, onChange, spread, onSpreadChange, aside, disabled, min = 0, max = 10, step = 0.5 }) => (
   <div className="grid grid-cols-1 sm:grid-cols-6 gap-2 items-center py-1.5">
     <div className="sm:col-span-3 text-sm">{label}</div>
     <input
       type="range"
-      min={0}
-      max={10}
-      step={0.5}
+      min={min}
+      max={max}
+      step={step}
       value={value}
       onChange={(e) => onChange(parseFloat(e.target.value))}
-      className="sm:col-span-2 w-full"
+      disabled={disabled}
+      className="sm:col-span-2 w-full disabled:opacity-50"
     />
-    <div className="text-right font-medium">{value}</div>
+    <div className="flex items-center justify-end gap-1 font-medium">
+      {value}
+      {onSpreadChange && <SpreadInput value={spread ?? 0} onChange={onSpreadChange} />}
+      {aside}
+    </div>
   </div>
 );
 
-const WeightsEditor = ({ weights, setWeights }) => (
+// Model slider ranges; goal seek stays inside them so an applied value remains editable
+const K_CONTROL = { min: 0, max: 10, step: 0.5 };
+const SHOCK_CONTROL = { min: -0.2, max: 0.2, step: 0.01 };
+
+const SpreadInput = ({ value, onChange, step = 0.5 }) => (
+  <label className="flex items-center text-xs font-normal text-amber-700" title="Uncertainty (±)">
+    ±
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Math.max(0, parseFloat(e.target.value) || 0))}
+      className="w-12 px-1 py-0.5 rounded border bg-white"
+    />
+  </label>
+);
+
+const WeightsEditor = ({ subs, weights, setWeights }) => (
   <Section title="Pillar Weights (Importance)">
     <p className="text-sm text-gray-600 mb-3">
       Based on your strategy: Product & Ops/CS highest, then Sales & Pioneering, then Marketing.
@@ -223,7 +442,7 @@ const WeightsEditor = ({ weights, setWeights }) => (
     {Object.entries(weights).map(([k, v]) => (
       <Slider
         key={k}
-        label={`${SUBS[k]?.label ?? k} (w)`}
+        label={`${subs[k]?.label ?? k} (w)`}
         value={v}
         onChange={(val) => {
           const next = { ...weights, [k]: val };
@@ -242,271 +461,4520 @@ const WeightsEditor = ({ weights, setWeights }) => (
   </Section>
 );
 
-const PillarEditor = ({ who, scores, setScores }) => (
-  <div className="space-y-5">
-    {Object.entries(SUBS).map(([pillarKey, def]) => (
-      <Section key={pillarKey} title={`${def.label} — ${who}`}>
-        {def.items.map((it) => (
-          <Slider
-            key={it.key}
-            label={`${it.label}`}
-            value={scores[pillarKey][it.key]}
-            onChange={(val) =>
-              setScores((prev) => ({
-                ...prev,
-                [pillarKey]: { ...prev[pillarKey], [it.key]: val },
-              }))
-            }
-          />
-        ))}
-        <div className="text-sm text-gray-600 mt-2">
-          Pillar score: {round1(pillarScore(pillarKey, scores[pillarKey]))} / 10
-        </div>
-      </Section>
-    ))}
-  </div>
-);
+// spreads/setSpreads are optional (Monte Carlo mode); same shape as scores
+// ----- Evidence -----
+// Per score: { rationale, links: [url], files: [{ name, type, size, dataUrl }], confidence, by, at, value }
+// kept per side like spreads: evidence[side][pillar][item]; "value" is the score when last edited.
+// Rivals keep their ids across markets, so parked markets carry their own rival evidence
+const CONFIDENCE = {
+  low: { label: "Low", cls: "bg-red-100 text-red-800" },
+  medium: { label: "Medium", cls: "bg-amber-100 text-amber-800" },
+  high: { label: "High", cls: "bg-green-100 text-green-800" },
+};
+const MAX_EVIDENCE_FILE = 512 * 1024; // attachments are stored inline (data URL) in the scenario file
+const EDITOR_KEY = "bewe_sim_editor";
+
+const hasEvidence = (rec) => Boolean(rec?.links?.length || rec?.files?.length);
+const parseLinks = (text) => text.split(/\s+/).map((l) => l.trim()).filter(Boolean);
+const fmtStamp = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+const rivalEvidence = ({ you: _, ...rivals }) => rivals;
+
+const validEvidence = (evidence) =>
+  isObj(evidence) &&
+  Object.values(evidence).every(
+    (side) =>
+      isObj(side) &&
+      Object.values(side).every(
+        (items) =>
+          isObj(items) &&
+          Object.values(items).every(
+            (rec) =>
+              isObj(rec) &&
+              (rec.rationale === undefined || typeof rec.rationale === "string") &&
+              (rec.links === undefined || (Array.isArray(rec.links) && rec.links.every((l) => typeof l === "string"))) &&
+              (rec.files === undefined || (Array.isArray(rec.files) && rec.files.every((f) => typeof f?.name === "string" && typeof f?.dataUrl === "string"))) &&
+              (rec.confidence === undefined || rec.confidence in CONFIDENCE)
+          )
+      )
+  );
 
-const TrendLine = ({ history }) => (
-  <ResponsiveContainer width="100%" height={240}>
-    <LineChart data={history} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
-      <CartesianGrid strokeDasharray="3 3" />
-      <XAxis dataKey="t" tick={{ fontSize: 12 }} />
-      <YAxis domain={[0, 100]} tickFormatter={(v) => `${v}%`} tick={{ fontSize: 12 }} />
-      <Tooltip formatter={(v) => `${v}%`} />
-      <Line type="monotone" dataKey="p" strokeWidth={2} dot={false} />
-    </LineChart>
-  </ResponsiveContainer>
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+const EvidenceBadge = ({ rec, open, onClick }) => (
+  <button
+    onClick={onClick}
+    title={hasEvidence(rec) ? "Evidence attached" : "No evidence yet"}
+    className={`px-1.5 py-0.5 rounded text-xs font-normal border ${open ? "bg-gray-100" : "bg-white"} ${hasEvidence(rec) ? "" : "text-gray-400"}`}
+  >
+    📎{hasEvidence(rec) ? (rec.links?.length ?? 0) + (rec.files?.length ?? 0) : ""}
+    {rec?.confidence && <span className={`ml-1 px-1 rounded ${CONFIDENCE[rec.confidence].cls}`}>{CONFIDENCE[rec.confidence].label[0]}</span>}
+  </button>
 );
 
-const RadarCompare = ({ you, comp }) => {
-  const data = [
-    { pillar: "Product", you: you.product, comp: comp.product },
-    { pillar: "Ops/CS", you: you.ops, comp: comp.ops },
-    { pillar: "Sales", you: you.sales, comp: comp.sales },
-    { pillar: "Pioneering", you: you.pioneering, comp: comp.pioneering },
-    { pillar: "Marketing", you: you.marketing, comp: comp.marketing },
-  ].map((row) => ({ ...row, you: round1(row.you), comp: round1(row.comp) }));
+const EvidenceEditor = ({ rec = {}, onChange }) => {
+  const [fileError, setFileError] = useState(null);
+  const attach = (e) => {
+    const files = [...(e.target.files ?? [])];
+    e.target.value = "";
+    const tooBig = files.filter((f) => f.size > MAX_EVIDENCE_FILE);
+    setFileError(tooBig.length ? `${tooBig.map((f) => f.name).join(", ")}: over ${MAX_EVIDENCE_FILE / 1024} KB — link to it instead` : null);
+    Promise.all(
+      files.filter((f) => f.size <= MAX_EVIDENCE_FILE).map((f) => readAsDataUrl(f).then((dataUrl) => ({ name: f.name, type: f.type, size: f.size, dataUrl })))
+    ).then(
+      (added) => added.length && onChange({ files: [...(rec.files ?? []), ...added] }),
+      (err) => setFileError(err.message)
+    );
+  };
+
+  return (
+    <div className="mb-2 p-2 rounded-xl border bg-gray-50 space-y-2 text-sm">
+      <textarea
+        value={rec.rationale ?? ""}
+        onChange={(e) => onChange({ rationale: e.target.value })}
+        placeholder="Rationale — why this score?"
+        rows={2}
+        className="w-full px-2 py-1 rounded-lg border bg-white"
+      />
+      <textarea
+        value={(rec.links ?? []).join("\n")}
+        onChange={(e) => onChange({ links: parseLinks(e.target.value) })}
+        placeholder="Links (one per line): uptime report, G2 reviews, win‑rate export…"
+        rows={2}
+        className="w-full px-2 py-1 rounded-lg border bg-white font-mono text-xs"
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50 cursor-pointer">
+          Attach file
+          <input type="file" multiple className="hidden" onChange={attach} />
+        </label>
+        {(rec.files ?? []).map((f, i) => (
+          <span key={i} className="flex items-center gap-1 px-2 py-0.5 rounded-lg border bg-white">
+            <a href={f.dataUrl} download={f.name} className="text-blue-700 underline">{f.name}</a>
+            <button onClick={() => onChange({ files: rec.files.filter((_, j) => j !== i) })} className="text-gray-500">✕</button>
+          </span>
+        ))}
+        <label className="flex items-center gap-1 ml-auto">
+          Confidence
+          <select
+            value={rec.confidence ?? ""}
+            onChange={(e) => onChange({ confidence: e.target.value || undefined })}
+            className="px-1 py-0.5 rounded border bg-white"
+          >
+            <option value="">—</option>
+            {Object.entries(CONFIDENCE).map(([k, v]) => (
+              <option key={k} value={k}>{v.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {fileError && <div className="text-xs text-red-700">{fileError}</div>}
+      <div className="text-xs text-gray-500">
+        Last edited by {rec.by || "—"} · {fmtStamp(rec.at)}
+      </div>
+    </div>
+  );
+};
+
+const PillarEditor = ({ subs, who, scores, setScores, spreads, setSpreads, evidence, onEvidence, mappings, metrics, onMetric, assessed, consensus }) => {
+  const [open, setOpen] = useState(null); // "pillar.item" whose evidence is expanded
+  return (
+    <div className="space-y-5">
+      {Object.entries(subs).map(([pillarKey, def]) => (
+        <Section key={pillarKey} title={`${def.label} — ${who}`}>
+          {def.items.map((it) => {
+            const id = `${pillarKey}.${it.key}`;
+            const rec = evidence?.[pillarKey]?.[it.key];
+            const mapping = mappings?.[pillarKey]?.[it.key];
+            const metric = metrics?.[pillarKey]?.[it.key];
+            const derived = mapping && isNum(metric);
+            // Team scoring: the assessor hasn't scored this item yet, or the team lands elsewhere
+            const teamNote = !assessed || derived
+              ? null
+              : !isNum(assessed[pillarKey]?.[it.key])
+                ? "not scored yet — team value"
+                : consensus[pillarKey][it.key] !== scores[pillarKey][it.key] && `team ${consensus[pillarKey][it.key]}`;
+            return (
+              <React.Fragment key={it.key}>
+                <Slider
+                  label={
+                    derived || teamNote ? (
+                      <>
+                        {it.label}
+                        {derived && <span className="text-xs text-blue-700"> · from {mapping.metric}</span>}
+                        {teamNote && <span className="text-xs text-gray-500"> · {teamNote}</span>}
+                      </>
+                    ) : (
+                      it.label
+                    )
+                  }
+                  disabled={derived}
+                  value={scores[pillarKey][it.key]}
+                  onChange={(val) => {
+                    setScores((prev) => ({
+                      ...prev,
+                      [pillarKey]: { ...prev[pillarKey], [it.key]: val },
+                    }));
+                    onEvidence?.(pillarKey, it.key, {}, val);
+                  }}
+                  spread={spreads?.[pillarKey]?.[it.key]}
+                  onSpreadChange={
+                    setSpreads &&
+                    ((val) =>
+                      setSpreads((prev = {}) => ({
+                        ...prev,
+                        [pillarKey]: { ...prev[pillarKey], [it.key]: val },
+                      })))
+                  }
+                  aside={onEvidence && <EvidenceBadge rec={rec} open={open === id} onClick={() => setOpen(open === id ? null : id)} />}
+                />
+                {mapping && onMetric && (
+                  <MetricInput mapping={mapping} value={metric} score={scores[pillarKey][it.key]} onChange={(v) => onMetric(pillarKey, it.key, v)} />
+                )}
+                {onEvidence && open === id && (
+                  <EvidenceEditor rec={rec} onChange={(patch) => onEvidence(pillarKey, it.key, patch, scores[pillarKey][it.key])} />
+                )}
+              </React.Fragment>
+            );
+          })}
+          <div className="text-sm text-gray-600 mt-2">
+            Pillar score: {round1(pillarScore(pillarKey, scores[pillarKey], subs))} / 10
+          </div>
+        </Section>
+      ))}
+    </div>
+  );
+};
+
+// projection: optional [{ t, proj }] appended after the snapshots (dashed line)
+// Charts fill their container on screen; with a fixed width (the printable report) they render at
+// that size without animation, so the DOM holds the final picture when it is serialized
+const ChartFrame = ({ width, height, children }) =>
+  width ? React.cloneElement(children, { width, height }) : <ResponsiveContainer width="100%" height={height}>{children}</ResponsiveContainer>;
+
+const TrendLine = ({ history, projection = [], width }) => {
+  const data = [...history, ...projection];
+  return (
+    <ChartFrame width={width} height={240}>
+      <LineChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="t" tick={{ fontSize: 12 }} />
+        <YAxis domain={[0, 100]} tickFormatter={(v) => `${v}%`} tick={{ fontSize: 12 }} />
+        <Tooltip formatter={(v) => `${v}%`} />
+        <Line type="monotone" dataKey="p" name="Snapshots" strokeWidth={2} dot={false} isAnimationActive={!width} />
+        {projection.length > 0 && (
+          <Line type="monotone" dataKey="proj" name="Roadmap projection" stroke="#7c3aed" strokeDasharray="5 4" strokeWidth={2} isAnimationActive={!width} />
+        )}
+        {projection.length > 0 && <Legend />}
+      </LineChart>
+    </ChartFrame>
+  );
+};
+
+// you: pillar scores; rivals: [{ id, name, pillars }] — overlays every rival passed in
+const RadarCompare = ({ subs, you, rivals, width }) => {
+  const data = Object.keys(subs).map((k) => {
+    const row = { pillar: subs[k].short, you: round1(you[k]) };
+    for (const r of rivals) row[r.id] = round1(r.pillars[k]);
+    return row;
+  });
 
   return (
-    <ResponsiveContainer width="100%" height={320}>
+    <ChartFrame width={width} height={320}>
       <RadarChart data={data} outerRadius={110}>
         <PolarGrid />
         <PolarAngleAxis dataKey="pillar" />
         <PolarRadiusAxis angle={30} domain={[0, 10]} />
-        <Radar name="You" dataKey="you" strokeWidth={2} fillOpacity={0.15} />
-        <Radar name="Competitor" dataKey="comp" strokeWidth={2} fillOpacity={0.12} />
+        <Radar name="You" dataKey="you" stroke={SERIES_COLORS[0]} fill={SERIES_COLORS[0]} strokeWidth={2} fillOpacity={0.15} isAnimationActive={!width} />
+        {rivals.map((r, i) => {
+          const color = SERIES_COLORS[(i + 1) % SERIES_COLORS.length];
+          return <Radar key={r.id} name={r.name} dataKey={r.id} stroke={color} fill={color} strokeWidth={2} fillOpacity={0.12} isAnimationActive={!width} />;
+        })}
         <Legend />
         <Tooltip />
       </RadarChart>
-    </ResponsiveContainer>
+    </ChartFrame>
   );
 };
 
-const GapBars = ({ you, comp }) => {
-  const rows = [
-    { pillar: "Product", gap: you.product - comp.product },
-    { pillar: "Ops/CS", gap: you.ops - comp.ops },
-    { pillar: "Sales", gap: you.sales - comp.sales },
-    { pillar: "Pioneering", gap: you.pioneering - comp.pioneering },
-    { pillar: "Marketing", gap: you.marketing - comp.marketing },
-  ].map((r) => ({ ...r, gap: round1(r.gap) }));
+// One bar per rival: positive = you lead that pillar
+const GapBars = ({ subs, you, rivals, width }) => {
+  const rows = Object.keys(subs).map((k) => {
+    const row = { pillar: subs[k].short };
+    for (const r of rivals) row[r.id] = round1(you[k] - r.pillars[k]);
+    return row;
+  });
 
   return (
-    <ResponsiveContainer width="100%" height={240}>
+    <ChartFrame width={width} height={240}>
       <BarChart data={rows}>
         <CartesianGrid strokeDasharray="3 3" />
         <XAxis dataKey="pillar" />
         <YAxis domain={[-10, 10]} />
         <Tooltip />
-        <Bar dataKey="gap" />
+        {rivals.length > 1 && <Legend />}
+        {rivals.map((r, i) => (
+          <Bar key={r.id} dataKey={r.id} name={r.name} fill={SERIES_COLORS[(i + 1) % SERIES_COLORS.length]} isAnimationActive={!width} />
+        ))}
       </BarChart>
-    </ResponsiveContainer>
+    </ChartFrame>
   );
 };
 
-const Sensitivity = ({ weights, baseScoresYou, baseScoresComp, pillarKey, maturity, k }) => {
-  // Sweep the chosen pillar +/− 3 points for YOU and recompute probability
-  const sweep = Array.from({ length: 13 }, (_, i) => i - 6); // −6..+6 → we will clamp
-  const label = SUBS[pillarKey].label;
-  const data = sweep.map((offset) => {
-    const clone = JSON.parse(JSON.stringify(baseScoresYou));
-    const firstItem = SUBS[pillarKey].items[0].key;
-    const v = clamp01((clone[pillarKey][firstItem] + offset) / 10) * 10; // keep in 0–10
-    clone[pillarKey][firstItem] = Math.max(0, Math.min(10, v));
-
-    const you01 = grandScore01(weights, clone);
-    const comp01 = grandScore01(weights, baseScoresComp);
-    const p = probabilityToDisplace({ you01, comp01, maturity, k });
-    return { x: offset, p: Math.round(p * 100) };
-  });
+const CompetitorList = ({ subs, competitors, setCompetitors, outlook, focusId, setFocusId }) => {
+  const rename = (id, name) =>
+    setCompetitors((prev) => prev.map((c) => (c.id === id ? { ...c, name } : c)));
+  const remove = (id) => {
+    const next = competitors.filter((c) => c.id !== id);
+    setCompetitors(next);
+    if (id === focusId) setFocusId(next[0].id);
+  };
+  const add = () => {
+    const c = mkCompetitor(`Competitor ${competitors.length + 1}`, subs);
+    setCompetitors([...competitors, c]);
+    setFocusId(c.id);
+  };
+  const pById = Object.fromEntries(outlook.rows.map((r) => [r.id, r]));
 
   return (
-    <ResponsiveContainer width="100%" height={220}>
-      <LineChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
-        <CartesianGrid strokeDasharray="3 3" />
-        <XAxis dataKey="x" label={{ value: `${label} (first sub‑factor) +/−`, position: "insideBottom", offset: -2 }} />
-        <YAxis domain={[0, 100]} tickFormatter={(v) => `${v}%`} />
-        <Tooltip formatter={(v) => `${v}%`} />
-        <Line type="monotone" dataKey="p" strokeWidth={2} dot={false} />
-      </LineChart>
-    </ResponsiveContainer>
+    <div className="space-y-2">
+      {competitors.map((c) => (
+        <div key={c.id} className="flex items-center gap-2 text-sm">
+          <input
+            type="radio"
+            name="focus-competitor"
+            checked={c.id === focusId}
+            onChange={() => setFocusId(c.id)}
+            title="Edit & chart this competitor"
+          />
+          <input
+            value={c.name}
+            onChange={(e) => rename(c.id, e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1 rounded-lg border bg-white"
+          />
+          <div className="w-20 text-right text-gray-600">score {round1((pById[c.id]?.score01 ?? 0) * 10)}</div>
+          <div className="w-14 text-right font-medium">{Math.round((pById[c.id]?.p ?? 0) * 100)}%</div>
+          {outlook.leader?.id === c.id && <span className="text-xs px-1.5 rounded bg-amber-100 text-amber-800">leader</span>}
+          <button
+            onClick={() => remove(c.id)}
+            disabled={competitors.length <= 1}
+            className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-40"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between pt-2">
+        <button onClick={add} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">Add Competitor</button>
+        <div className="text-sm text-gray-600">
+          Displace leader: <span className="font-semibold">{Math.round(outlook.pLeader * 100)}%</span>
+          {" · "}Displace all: <span className="font-semibold">{Math.round(outlook.pAll * 100)}%</span>
+        </div>
+      </div>
+    </div>
   );
 };
 
-export default function CompetitorDisplacementSimulator() {
-  const [weights, setWeights] = useState(DEFAULT_WEIGHTS);
-  const [you, setYou] = useState(mkDefaultScores());
-  const [comp, setComp] = useState(mkDefaultScores());
+const MC_RUNS = [1000, 5000, 10000];
 
-  const [maturity, setMaturity] = useState(6); // 0–10, higher = harder to flip market
-  const [steepness, setSteepness] = useState(8); // k in logistic
-  const [shock, setShock] = useState(0); // −0.2..+0.2 exogenous shock (regulation, macro, etc.)
+const MonteCarloPanel = ({ subs, settings, setSettings, spreads, setSpreads, sideKeys, result }) => {
+  const set = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+  const setParam = (key, val) => setSpreads((prev) => ({ ...prev, params: { ...prev.params, [key]: val } }));
+  // Apply one ± to every sub‑criterion of the given sides
+  const fillAll = (val) =>
+    setSpreads((prev) => {
+      const sides = { ...prev.sides };
+      for (const side of sideKeys) {
+        sides[side] = Object.fromEntries(
+          Object.entries(subs).map(([pk, def]) => [pk, Object.fromEntries(def.items.map((it) => [it.key, val]))])
+        );
+      }
+      return { ...prev, sides };
+    });
+  const pct = (x) => `${Math.round(x * 100)}%`;
 
-  const youPillars = useMemo(
-    () => ({
-      product: round1(pillarScore("product", you.product)),
-      ops: round1(pillarScore("ops", you.ops)),
-      sales: round1(pillarScore("sales", you.sales)),
-      pioneering: round1(pillarScore("pioneering", you.pioneering)),
-      marketing: round1(pillarScore("marketing", you.marketing)),
-    }),
-    [you]
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        Enable uncertainty mode (± inputs appear next to every slider)
+      </label>
+      {settings.enabled && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <label className="flex flex-col gap-1">
+              Distribution
+              <select value={settings.dist} onChange={(e) => set({ dist: e.target.value })} className="px-2 py-1 rounded-lg border bg-white">
+                {Object.entries(DISTRIBUTIONS).map(([k, d]) => (
+                  <option key={k} value={k}>{d.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Runs
+              <select value={settings.runs} onChange={(e) => set({ runs: parseInt(e.target.value, 10) })} className="px-2 py-1 rounded-lg border bg-white">
+                {MC_RUNS.map((n) => (
+                  <option key={n} value={n}>{n.toLocaleString()}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Seed
+              <input
+                type="number"
+                value={settings.seed}
+                onChange={(e) => set({ seed: parseInt(e.target.value, 10) || 0 })}
+                className="px-2 py-1 rounded-lg border bg-white"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Set all sub‑criteria ±
+              <select value="" onChange={(e) => e.target.value !== "" && fillAll(parseFloat(e.target.value))} className="px-2 py-1 rounded-lg border bg-white">
+                <option value="" disabled>choose…</option>
+                {[0, 0.5, 1, 2, 3].map((v) => (
+                  <option key={v} value={v}>±{v}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-3 text-sm">
+            <span className="flex items-center gap-1">Maturity <SpreadInput value={spreads.params.maturity} onChange={(v) => setParam("maturity", v)} /></span>
+            <span className="flex items-center gap-1">k <SpreadInput value={spreads.params.k} onChange={(v) => setParam("k", v)} /></span>
+            <span className="flex items-center gap-1">Shock <SpreadInput value={spreads.params.shock} step={0.01} onChange={(v) => setParam("shock", v)} /></span>
+          </div>
+          {result && (
+            <>
+              <div className="grid grid-cols-3 text-center text-sm">
+                <div><div className="text-xs text-gray-500">P10</div><div className="font-semibold">{pct(result.p10)}</div></div>
+                <div><div className="text-xs text-gray-500">P50</div><div className="font-semibold">{pct(result.p50)}</div></div>
+                <div><div className="text-xs text-gray-500">P90</div><div className="font-semibold">{pct(result.p90)}</div></div>
+              </div>
+              <ResponsiveContainer width="100%" height={180}>
+                <BarChart data={result.histogram} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" tickFormatter={(v) => `${v}%`} tick={{ fontSize: 11 }} />
+                  <YAxis tick={{ fontSize: 11 }} />
+                  <Tooltip labelFormatter={(_, p) => p?.[0]?.payload.bin} formatter={(v) => [v, "runs"]} />
+                  <Bar dataKey="n" fill="#d97706" />
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="text-xs text-gray-500">
+                Mean {pct(result.mean)} · Displace all rivals P10–P90: {pct(result.all.p10)}–{pct(result.all.p90)}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
   );
+};
 
-  const compPillars = useMemo(
-    () => ({
-      product: round1(pillarScore("product", comp.product)),
-      ops: round1(pillarScore("ops", comp.ops)),
-      sales: round1(pillarScore("sales", comp.sales)),
-      pioneering: round1(pillarScore("pioneering", comp.pioneering)),
-      marketing: round1(pillarScore("marketing", comp.marketing)),
-    }),
-    [comp]
+// ----- Sensitivity -----
+// inputs: { subs, weights, you, comp, maturity, k, shock, thetaMap, model } for one head‑to‑head
+const evalProbability = ({ subs, weights, you, comp, maturity, k, shock, thetaMap, model }) =>
+  modelProbability(
+    {
+      you01: grandScore01(weights, you, subs),
+      comp01: grandScore01(weights, comp, subs),
+      maturity,
+      k,
+      shock,
+      thetaMap,
+      you,
+      subs,
+    },
+    model
   );
 
-  const you01 = useMemo(() => grandScore01(weights, you), [weights, you]);
-  const comp01 = useMemo(() => grandScore01(weights, comp), [weights, comp]);
+const setSubScore = (scores, pk, ik, v) => ({ ...scores, [pk]: { ...scores[pk], [ik]: v } });
 
-  const probability = useMemo(
-    () => probabilityToDisplace({ you01, comp01, maturity, k: steepness, shock }),
-    [you01, comp01, maturity, steepness, shock]
+// Pin one weight to v and rescale the rest proportionally so the sum stays 1
+const reweight = (weights, key, v) => {
+  const restSum = Object.entries(weights).reduce((a, [k, w]) => (k === key ? a : a + w), 0);
+  const restCount = Object.keys(weights).length - 1;
+  return Object.fromEntries(
+    Object.entries(weights).map(([k, w]) => [
+      k,
+      k === key ? v : restSum > 0 ? (w * (1 - v)) / restSum : (1 - v) / restCount,
+    ])
   );
+};
 
-  // History (snapshots)
-  const [history, setHistory] = useState(() => {
-    try {
-      const raw = localStorage.getItem("bewe_sim_history");
-      return raw ? JSON.parse(raw) : [];
-    } catch (e) {
-      return [];
-    }
+// Every lever knows how to read/write itself on an inputs object, plus its scale
+const buildLevers = (subs, rivalName) => [
+  ...Object.entries(subs).flatMap(([pk, def]) =>
+    def.items.flatMap((it) => [
+      {
+        id: `you.${pk}.${it.key}`,
+        group: "you",
+        label: `${it.label} (you)`,
+        min: 0,
+        max: 10,
+        span: 10,
+        get: (x) => x.you[pk][it.key],
+        set: (x, v) => ({ ...x, you: setSubScore(x.you, pk, it.key, v) }),
+      },
+      {
+        id: `comp.${pk}.${it.key}`,
+        group: "comp",
+        label: `${it.label} (${rivalName})`,
+        min: 0,
+        max: 10,
+        span: 10,
+        get: (x) => x.comp[pk][it.key],
+        set: (x, v) => ({ ...x, comp: setSubScore(x.comp, pk, it.key, v) }),
+      },
+    ])
+  ),
+  ...Object.keys(subs).map((pk) => ({
+    id: `weight.${pk}`,
+    group: "weights",
+    label: `${subs[pk].short} weight`,
+    min: 0,
+    max: 1,
+    span: 1,
+    get: (x) => x.weights[pk],
+    set: (x, v) => ({ ...x, weights: reweight(x.weights, pk, v) }),
+  })),
+  { id: "maturity", group: "model", label: "Market maturity", min: 0, max: 10, span: 10, get: (x) => x.maturity, set: (x, v) => ({ ...x, maturity: v }) },
+  { id: "k", group: "model", label: "Steepness k", min: 0, max: Infinity, span: 20, control: K_CONTROL, get: (x) => x.k, set: (x, v) => ({ ...x, k: v }) },
+  { id: "shock", group: "model", label: "External shock", min: -Infinity, max: Infinity, span: 0.4, control: SHOCK_CONTROL, get: (x) => x.shock, set: (x, v) => ({ ...x, shock: v }) },
+];
+
+const LEVER_GROUPS = { all: "All levers", you: "Your sub‑criteria", comp: "Rival sub‑criteria", weights: "Pillar weights", model: "Model parameters" };
+
+// range: share of the lever's span swept on each side (0.2 → ±2 points on a 0–10 score)
+const leverBounds = (inputs, lever, range) => {
+  const base = lever.get(inputs);
+  return [Math.max(lever.min, base - range * lever.span), Math.min(lever.max, base + range * lever.span)];
+};
+
+const sweepLever = (inputs, lever, range, steps = 13) => {
+  const [lo, hi] = leverBounds(inputs, lever, range);
+  return Array.from({ length: steps }, (_, i) => {
+    const x = lo + ((hi - lo) * i) / (steps - 1);
+    return { x: Math.round(x * 1000) / 1000, p: Math.round(evalProbability(lever.set(inputs, x)) * 1000) / 10 };
   });
+};
 
-  useEffect(() => {
-    try {
-      localStorage.setItem("bewe_sim_history", JSON.stringify(history));
-    } catch {}
-  }, [history]);
+// Sorted by swing (|high − low|), biggest first
+const tornado = (inputs, levers, range) => {
+  const base = evalProbability(inputs);
+  return levers
+    .map((lever) => {
+      const [lo, hi] = leverBounds(inputs, lever, range);
+      const low = evalProbability(lever.set(inputs, lo)) - base;
+      const high = evalProbability(lever.set(inputs, hi)) - base;
+      return { id: lever.id, label: lever.label, group: lever.group, lo, hi, low, high, swing: Math.abs(high - low) };
+    })
+    .sort((a, b) => b.swing - a.swing);
+};
 
-  const addSnapshot = () => {
-    const now = new Date();
-    const label = now.toLocaleString();
-    const pct = Math.round(probability * 100);
-    setHistory((h) => [...h.slice(-99), { t: label, p: pct }]);
-  };
+// ----- Goal seek -----
+// Bisection on one lever for a target probability. P is monotone in every lever (scores,
+// re‑weighted pillars, maturity through θ, shock, and k on either side of the threshold), so a
+// target is reachable iff it lies between P at the two ends of the lever's range
+const SEEK_ITERATIONS = 60;
+const SEEK_STEPS = { you: 0.1, comp: 0.1, weights: 0.001, model: 0.01 }; // precision of the applied value
 
-  const clearHistory = () => setHistory([]);
+// Open‑ended levers (k, shock) are searched over their slider's range
+const seekDomain = (lever) => (lever.control ? [lever.control.min, lever.control.max] : [lever.min, lever.max]);
 
-  // Derived UI
-  const deltaPct = Math.round((you01 - comp01) * 1000) / 10; // in %-points of score
+const goalSeek = (inputs, lever, target) => {
+  const at = (x) => evalProbability(lever.set(inputs, x));
+  const [lo, hi] = seekDomain(lever);
+  const pLo = at(lo);
+  const pHi = at(hi);
+  const base = { current: lever.get(inputs), p0: evalProbability(inputs), lo, hi, pLo, pHi };
+  if ((target - pLo) * (target - pHi) > 0) {
+    const best = Math.abs(pLo - target) <= Math.abs(pHi - target) ? { value: lo, p: pLo } : { value: hi, p: pHi };
+    return { ...base, feasible: false, best };
+  }
+  let a = lo;
+  let b = hi;
+  for (let i = 0; i < SEEK_ITERATIONS; i++) {
+    const mid = (a + b) / 2;
+    if ((at(mid) - target) * (pLo - target) > 0) a = mid;
+    else b = mid;
+  }
+  const exact = (a + b) / 2;
+  // Round to the lever's step, on the side that still reaches the target
+  const step = SEEK_STEPS[lever.group];
+  const value =
+    [Math.floor(exact / step) * step, Math.ceil(exact / step) * step]
+      .map((v) => Math.max(lo, Math.min(hi, Math.round(v * 1e6) / 1e6)))
+      .find((v) => at(v) >= target) ?? exact;
+  return { ...base, feasible: true, exact, value, p: at(value) };
+};
+
+const fmtLever = (lever, v) => (lever.group === "weights" ? `${round1(v * 100)}%` : `${Math.round(v * 100) / 100}`);
+
+const GoalSeekPanel = ({ inputs, rivalName, onApply }) => {
+  const [target, setTarget] = useState(0.6);
+  const levers = useMemo(() => buildLevers(inputs.subs, rivalName), [inputs.subs, rivalName]);
+  const [leverId, setLeverId] = useState(null);
+  const lever = levers.find((l) => l.id === leverId) ?? levers[0];
+  const result = useMemo(() => goalSeek(inputs, lever, target), [inputs, lever, target]);
+  const curve = useMemo(() => {
+    const [lo, hi] = seekDomain(lever);
+    return Array.from({ length: 25 }, (_, i) => {
+      const x = lo + ((hi - lo) * i) / 24;
+      return { x: Math.round(x * 1000) / 1000, p: Math.round(evalProbability(lever.set(inputs, x)) * 1000) / 10 };
+    });
+  }, [inputs, lever]);
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const unchanged = result.feasible && Math.abs(result.value - result.current) < 1e-9;
 
   return (
-    <div className="min-h-screen w-full bg-gradient-to-b from-gray-50 to-gray-100 text-gray-900">
-      <div className="max-w-7xl mx-auto p-4 sm:p-6 md:p-8 space-y-6">
-        <header className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          Target P
+          <input type="range" min={0.05} max={0.95} step={0.01} value={target} onChange={(e) => setTarget(parseFloat(e.target.value))} />
+          <span className="font-medium w-10">{pct(target)}</span>
+        </label>
+        <select value={lever.id} onChange={(e) => setLeverId(e.target.value)} className="flex-1 min-w-0 px-2 py-1 rounded-lg border bg-white">
+          {Object.entries(LEVER_GROUPS)
+            .filter(([g]) => g !== "all")
+            .map(([g, label]) => (
+              <optgroup key={g} label={label}>
+                {levers
+                  .filter((l) => l.group === g)
+                  .map((l) => (
+                    <option key={l.id} value={l.id}>{l.label}</option>
+                  ))}
+              </optgroup>
+            ))}
+        </select>
+      </div>
+
+      {result.feasible ? (
+        <div className="flex flex-wrap items-center gap-3">
           <div>
-            <h1 className="text-2xl sm:text-3xl font-bold">Bewe — Competitor Displacement Simulator</h1>
-            <p className="text-gray-600 text-sm sm:text-base mt-1">Model your position vs. a rival across 5 pillars. Tune weights, market maturity, and more. Save snapshots to track strategy impact over time.</p>
+            {unchanged ? (
+              <>{lever.label} is already where P = {pct(result.p)}.</>
+            ) : (
+              <>
+                Set <span className="font-medium">{lever.label}</span> from {fmtLever(lever, result.current)} to{" "}
+                <span className="font-semibold">{fmtLever(lever, result.value)}</span> → P = {pct(result.p)} (now {pct(result.p0)})
+              </>
+            )}
           </div>
-          <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }}>
-            <div className="bg-white rounded-2xl shadow border p-4 w-full sm:w-[320px]">
-              <div className="text-xs text-gray-500">Probability to Displace</div>
-              <Gauge value={probability} />
-              <div className="flex items-center justify-between text-sm">
-                <div>Advantage Δ (score):</div>
-                <div className={`font-semibold ${you01 >= comp01 ? "text-green-700" : "text-red-700"}`}>
-                  {deltaPct >= 0 ? "+" : ""}{deltaPct}%
-                </div>
-              </div>
-            </div>
-          </motion.div>
-        </header>
+          {!unchanged && (
+            <button onClick={() => onApply(lever.set(inputs, result.value))} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50">
+              Apply
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="rounded-lg bg-red-50 text-red-800 px-2 py-1">
+          Not reachable with {lever.label} alone: across {fmtLever(lever, result.lo)}–{fmtLever(lever, result.hi)} P only spans{" "}
+          {pct(Math.min(result.pLo, result.pHi))}–{pct(Math.max(result.pLo, result.pHi))}. Closest: {fmtLever(lever, result.best.value)} → {pct(result.best.p)}.
+        </div>
+      )}
 
-        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
-          <div className="xl:col-span-2 space-y-6">
-            <Section
-              title="Market Dynamics & Model Settings"
-              right={
-                <div className="flex gap-2">
-                  <button onClick={addSnapshot} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">Save Snapshot</button>
-                  <button onClick={clearHistory} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">Clear</button>
-                </div>
-              }
-            >
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <div>
-                  <Slider label={`Market maturity (harder flip) — ${maturity}`} value={maturity} onChange={setMaturity} />
-                  <Slider label={`Model steepness (k) — ${steepness}`} value={steepness} onChange={setSteepness} />
-                  <Slider label={`External shock (−0.2…+0.2)`} value={shock} onChange={setShock} />
-                  <div className="text-xs text-gray-500">
-                    Shock lets you simulate regulation/macros or a PR blow (+ helps you, − helps rival). It shifts both scores before conversion.
-                  </div>
-                </div>
-                <div>
-                  <WeightsEditor weights={weights} setWeights={setWeights} />
-                </div>
-              </div>
-            </Section>
+      <ResponsiveContainer width="100%" height={200}>
+        <LineChart data={curve} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} />
+          <YAxis domain={[0, 100]} tickFormatter={(v) => `${v}%`} tick={{ fontSize: 11 }} />
+          <Tooltip formatter={(v) => `${v}%`} labelFormatter={(x) => `${lever.label}: ${x}`} />
+          <ReferenceLine y={Math.round(target * 1000) / 10} stroke="#d97706" strokeDasharray="4 4" />
+          {result.feasible && <ReferenceLine x={result.value} stroke="#2563eb" strokeDasharray="4 4" />}
+          <Line type="monotone" dataKey="p" strokeWidth={2} dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+      <div className="text-xs text-gray-500">
+        Solves on the live model with everything else held fixed; the dashed lines mark the target and the solution.
+      </div>
+    </div>
+  );
+};
 
-            <Section title="Your Inputs (Bewe)">
-              <PillarEditor who="You" scores={you} setScores={setYou} />
-            </Section>
+// ----- Investment optimizer -----
+const DEFAULT_COST = 10; // per +1 point, in "k€" (any unit works as long as it is consistent)
+const DEFAULT_MAX_GAIN = 2;
 
-            <Section title="Competitor Inputs">
-              <PillarEditor who="Competitor" scores={comp} setScores={setComp} />
-            </Section>
-          </div>
+const mkDefaultCosts = (subs) =>
+  Object.fromEntries(
+    Object.entries(subs).map(([pk, def]) => [
+      pk,
+      Object.fromEntries(def.items.map((it) => [it.key, { cost: DEFAULT_COST, maxGain: DEFAULT_MAX_GAIN }])),
+    ])
+  );
 
-          <div className="xl:col-span-1 space-y-6">
-            <Section title="Score Shapes (Radar)">
-              <RadarCompare you={youPillars} comp={compPillars} />
-            </Section>
+// Greedy (best gain per cost first), not an exact search — mode "target": a plan reaching
+// `target`; mode "budget": a plan within `budget`
+// Returns { steps, p0, p, cost, reached } — steps merge consecutive buys of the same lever
+const optimizeInvestment = ({ inputs, costs, mode, target, budget, step = 0.5 }) => {
+  const p0 = evalProbability(inputs);
+  const gained = {};
+  const steps = [];
+  let x = inputs;
+  let p = p0;
+  let cost = 0;
+  const done = () => (mode === "target" ? p >= target : false);
 
-            <Section title="Pillar Gaps (You − Competitor)">
-              <GapBars you={youPillars} comp={compPillars} />
-            </Section>
+  while (!done()) {
+    let best = null;
+    for (const [pk, def] of Object.entries(inputs.subs)) {
+      for (const it of def.items) {
+        const c = costs[pk]?.[it.key] ?? { cost: DEFAULT_COST, maxGain: DEFAULT_MAX_GAIN };
+        const id = `${pk}.${it.key}`;
+        const cur = x.you[pk][it.key];
+        const inc = Math.min(step, c.maxGain - (gained[id] ?? 0), 10 - cur);
+        if (inc <= 1e-9) continue;
+        const stepCost = c.cost * inc;
+        if (mode === "budget" && cost + stepCost > budget + 1e-9) continue;
+        const next = { ...x, you: setSubScore(x.you, pk, it.key, cur + inc) };
+        const pn = evalProbability(next);
+        if (pn <= p) continue; // lever no longer moves the needle
+        const ratio = stepCost > 0 ? (pn - p) / stepCost : Infinity;
+        if (!best || ratio > best.ratio) best = { ratio, id, pk, it, inc, stepCost, next, pn, from: cur };
+      }
+    }
+    if (!best) break; // nothing affordable left, or no lever still helps
 
-            <Section title="Sensitivity (What if you improve one lever?)">
-              <Sensitivity
-                weights={weights}
-                baseScoresYou={you}
-                baseScoresComp={comp}
-                pillarKey="ops"
-                maturity={maturity}
-                k={steepness}
-              />
-              <div className="text-xs text-gray-500 mt-2">
-                Tip: This sweeps the first sub‑factor of the chosen pillar. Change `pillarKey` prop in code to explore others (e.g., "product", "sales").
+    gained[best.id] = (gained[best.id] ?? 0) + best.inc;
+    x = best.next;
+    p = best.pn;
+    cost += best.stepCost;
+
+    const last = steps[steps.length - 1];
+    if (last && last.id === best.id) {
+      Object.assign(last, { to: last.to + best.inc, cost: last.cost + best.stepCost, cumCost: cost, p });
+    } else {
+      steps.push({ id: best.id, pillar: best.pk, label: best.it.label, from: best.from, to: best.from + best.inc, cost: best.stepCost, cumCost: cost, p });
+    }
+  }
+
+  return { steps, p0, p, cost, reached: mode === "target" ? p >= target : true, scores: x.you };
+};
+
+const OptimizerPanel = ({ inputs, costs, setCosts, onApply }) => {
+  const [mode, setMode] = useState("target");
+  const [target, setTarget] = useState(0.6);
+  const [budget, setBudget] = useState(100);
+
+  const plan = useMemo(
+    () => optimizeInvestment({ inputs, costs, mode, target, budget }),
+    [inputs, costs, mode, target, budget]
+  );
+  const setCost = (pk, ik, field, val) =>
+    setCosts((prev) => ({ ...prev, [pk]: { ...prev[pk], [ik]: { ...prev[pk][ik], [field]: Math.max(0, val) } } }));
+  const pct = (v) => `${Math.round(v * 100)}%`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-1">
+          <input type="radio" checked={mode === "target"} onChange={() => setMode("target")} /> Reach target
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="radio" checked={mode === "budget"} onChange={() => setMode("budget")} /> Spend budget
+        </label>
+        {mode === "target" ? (
+          <label className="flex items-center gap-2">
+            Target probability
+            <input
+              type="range"
+              min={0.05}
+              max={0.95}
+              step={0.05}
+              value={target}
+              onChange={(e) => setTarget(parseFloat(e.target.value))}
+            />
+            <span className="font-medium w-10">{pct(target)}</span>
+          </label>
+        ) : (
+          <label className="flex items-center gap-2">
+            Budget
+            <input
+              type="number"
+              min={0}
+              value={budget}
+              onChange={(e) => setBudget(Math.max(0, parseFloat(e.target.value) || 0))}
+              className="w-24 px-2 py-1 rounded-lg border bg-white"
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="text-sm">
+        {plan.steps.length === 0 ? (
+          <span className="text-gray-600">
+            {mode === "target" && plan.p0 >= target ? "Already at or above target — nothing to buy." : "No affordable improvement raises the probability."}
+          </span>
+        ) : (
+          <span>
+            {pct(plan.p0)} → <span className="font-semibold">{pct(plan.p)}</span> for a total cost of{" "}
+            <span className="font-semibold">{round1(plan.cost)}</span>
+            {!plan.reached && <span className="text-red-700"> — target not reachable within the max gains</span>}
+          </span>
+        )}
+        <div className="text-xs text-gray-500 mt-1">
+          Greedy plan: buys the +0.5 step with the best gain per cost each round. A good mix, but not guaranteed to be the cheapest.
+        </div>
+      </div>
+
+      {plan.steps.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-1">#</th>
+                <th>Lever</th>
+                <th className="text-right">Score</th>
+                <th className="text-right">Cost</th>
+                <th className="text-right">Cumulative</th>
+                <th className="text-right">Probability</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.steps.map((st, i) => (
+                <tr key={i} className="border-t">
+                  <td className="py-1">{i + 1}</td>
+                  <td>{st.label} <span className="text-gray-400">({inputs.subs[st.pillar].short})</span></td>
+                  <td className="text-right">{st.from} → {st.to}</td>
+                  <td className="text-right">{round1(st.cost)}</td>
+                  <td className="text-right">{round1(st.cumCost)}</td>
+                  <td className="text-right font-medium">{pct(st.p)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => onApply(plan.scores)} className="mt-2 px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">
+            Apply plan to your scores
+          </button>
+        </div>
+      )}
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-600">Costs per +1 point & max achievable gain</summary>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 mt-2">
+          {Object.entries(inputs.subs).flatMap(([pk, def]) =>
+            def.items.map((it) => (
+              <div key={`${pk}.${it.key}`} className="flex items-center gap-2 py-0.5">
+                <div className="flex-1 min-w-0 truncate">{it.label}</div>
+                <input
+                  type="number"
+                  min={0}
+                  value={costs[pk][it.key].cost}
+                  onChange={(e) => setCost(pk, it.key, "cost", parseFloat(e.target.value) || 0)}
+                  className="w-16 px-1 py-0.5 rounded border bg-white"
+                  title="Cost per +1 point"
+                />
+                <input
+                  type="number"
+                  min={0}
+                  max={10}
+                  step={0.5}
+                  value={costs[pk][it.key].maxGain}
+                  onChange={(e) => setCost(pk, it.key, "maxGain", parseFloat(e.target.value) || 0)}
+                  className="w-14 px-1 py-0.5 rounded border bg-white"
+                  title="Max achievable gain (points)"
+                />
               </div>
-            </Section>
+            ))
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
 
-            <Section title="Probability Trend (Snapshots)">
-              {history.length === 0 ? (
-                <div className="text-sm text-gray-600">No snapshots yet. Click <span className="font-medium">Save Snapshot</span> after a change to start a history.</div>
-              ) : (
-                <TrendLine history={history} />
-              )}
+// ----- Strategy roadmap -----
+// Add delta to one sub‑criterion; pillar "*" = every pillar, item "*" = every item of the pillar
+const bumpScores = (scores, pillar, item, delta, subs) => {
+  const pillars = pillar === "*" ? Object.keys(subs) : [pillar];
+  let next = scores;
+  for (const pk of pillars) {
+    const items = item === "*" ? subs[pk].items.map((it) => it.key) : [item];
+    for (const ik of items) next = setSubScore(next, pk, ik, Math.max(0, Math.min(10, next[pk][ik] + delta)));
+  }
+  return next;
+};
+
+// Labels for the next n quarters, e.g. "2026 Q4"
+const nextQuarters = (n, from = new Date()) => {
+  const q0 = from.getFullYear() * 4 + Math.floor(from.getMonth() / 3);
+  return Array.from({ length: n }, (_, i) => `${Math.floor((q0 + i + 1) / 4)} Q${((q0 + i + 1) % 4) + 1}`);
+};
+
+const RIVAL_MOVE_KINDS = { drift: "Drift / quarter", invest: "Counter‑investment", react: "Reaction to your lead" };
+
+const mkDefaultRoadmap = () => ({ quarters: 4, plan: [], rivalMoves: [] });
+
+// Returns one row per quarter: { t, p (focus), pLeader, pAll, reactions: [text] }
+const projectRoadmap = ({ subs, weights, you, competitors, focusId, maturity, k, shock, thetaMap, model, roadmap, labels }) => {
+  let y = you;
+  const rivalScores = Object.fromEntries(competitors.map((c) => [c.id, c.scores]));
+  const rows = [];
+  for (let q = 1; q <= roadmap.quarters; q++) {
+    for (const m of roadmap.plan) if (m.quarter === q) y = bumpScores(y, m.pillar, m.item, m.delta, subs);
+
+    const reactions = [];
+    for (const c of competitors) {
+      const moves = roadmap.rivalMoves.filter((m) => m.target === "all" || m.target === c.id);
+      let s = rivalScores[c.id];
+      for (const m of moves) {
+        if (m.kind === "drift") s = bumpScores(s, m.pillar, "*", m.delta, subs);
+        if (m.kind === "invest" && m.quarter === q) s = bumpScores(s, m.pillar, m.item, m.delta, subs);
+      }
+      for (const m of moves.filter((mv) => mv.kind === "react")) {
+        const lead = pillarScore(m.pillar, y[m.pillar], subs) - pillarScore(m.pillar, s[m.pillar], subs);
+        if (lead > m.threshold) {
+          s = bumpScores(s, m.pillar, "*", m.delta, subs);
+          reactions.push(`${c.name} reacts in ${subs[m.pillar].short}`);
+        }
+      }
+      rivalScores[c.id] = s;
+    }
+
+    const o = marketOutlook({
+      you01: grandScore01(weights, y, subs),
+      rivals: competitors.map((c) => ({ id: c.id, score01: grandScore01(weights, rivalScores[c.id], subs) })),
+      maturity,
+      k,
+      shock,
+      thetaMap,
+      model,
+      you: y,
+      subs,
+    });
+    rows.push({
+      t: labels[q - 1],
+      p: o.rows.find((r) => r.id === focusId).p,
+      pLeader: o.pLeader,
+      pAll: o.pAll,
+      reactions,
+    });
+  }
+  return rows;
+};
+
+const PillarItemSelect = ({ subs, pillar, item, onChange, allowAllPillars, allowAllItems }) => (
+  <>
+    <select
+      value={pillar}
+      onChange={(e) => onChange({ pillar: e.target.value, item: allowAllItems ? "*" : subs[e.target.value].items[0].key })}
+      className="px-1 py-0.5 rounded border bg-white"
+    >
+      {allowAllPillars && <option value="*">All pillars</option>}
+      {Object.entries(subs).map(([pk, def]) => (
+        <option key={pk} value={pk}>{def.short}</option>
+      ))}
+    </select>
+    {item !== undefined && pillar !== "*" && (
+      <select value={item} onChange={(e) => onChange({ item: e.target.value })} className="px-1 py-0.5 rounded border bg-white">
+        {allowAllItems && <option value="*">All items</option>}
+        {subs[pillar].items.map((it) => (
+          <option key={it.key} value={it.key}>{it.label}</option>
+        ))}
+      </select>
+    )}
+  </>
+);
+
+const RoadmapPanel = ({ subs, roadmap, setRoadmap, competitors, projection }) => {
+  const quarterSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(parseInt(e.target.value, 10))} className="px-1 py-0.5 rounded border bg-white">
+      {projection.map((r, i) => (
+        <option key={i} value={i + 1}>{r.t}</option>
+      ))}
+    </select>
+  );
+  const deltaInput = (value, onChange, step = 0.5) => (
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+      className="w-16 px-1 py-0.5 rounded border bg-white"
+    />
+  );
+  const update = (list, id, patch) =>
+    setRoadmap((prev) => ({ ...prev, [list]: prev[list].map((m) => (m.id === id ? { ...m, ...patch } : m)) }));
+  const remove = (list, id) => setRoadmap((prev) => ({ ...prev, [list]: prev[list].filter((m) => m.id !== id) }));
+  const add = (list, move) => setRoadmap((prev) => ({ ...prev, [list]: [...prev[list], { id: uid(), ...move }] }));
+  const removeBtn = (list, id) => (
+    <button onClick={() => remove(list, id)} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50">✕</button>
+  );
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const firstPillar = Object.keys(subs)[0];
+
+  return (
+    <div className="space-y-4 text-sm">
+      <label className="flex items-center gap-2">
+        Horizon
+        <select
+          value={roadmap.quarters}
+          onChange={(e) => setRoadmap((prev) => ({ ...prev, quarters: parseInt(e.target.value, 10) }))}
+          className="px-2 py-1 rounded-lg border bg-white"
+        >
+          {[2, 4, 6, 8, 12].map((n) => (
+            <option key={n} value={n}>{n} quarters</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="space-y-1">
+        <div className="font-medium">Your roadmap</div>
+        {roadmap.plan.map((m) => (
+          <div key={m.id} className="flex flex-wrap items-center gap-2">
+            {quarterSelect(m.quarter, (quarter) => update("plan", m.id, { quarter }))}
+            <PillarItemSelect subs={subs} pillar={m.pillar} item={m.item} onChange={(patch) => update("plan", m.id, patch)} />
+            {deltaInput(m.delta, (delta) => update("plan", m.id, { delta }))}
+            {removeBtn("plan", m.id)}
+          </div>
+        ))}
+        <button
+          onClick={() => add("plan", { quarter: 1, pillar: firstPillar, item: subs[firstPillar].items[0].key, delta: 1 })}
+          className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50"
+        >
+          Add planned change
+        </button>
+      </div>
+
+      <div className="space-y-1">
+        <div className="font-medium">Assumed competitor moves</div>
+        {roadmap.rivalMoves.map((m) => (
+          <div key={m.id} className="flex flex-wrap items-center gap-2">
+            <select value={m.target} onChange={(e) => update("rivalMoves", m.id, { target: e.target.value })} className="px-1 py-0.5 rounded border bg-white">
+              <option value="all">All rivals</option>
+              {competitors.map((c) => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <select
+              value={m.kind}
+              onChange={(e) => update("rivalMoves", m.id, { kind: e.target.value, pillar: e.target.value === "react" && m.pillar === "*" ? firstPillar : m.pillar })}
+              className="px-1 py-0.5 rounded border bg-white"
+            >
+              {Object.entries(RIVAL_MOVE_KINDS).map(([k, v]) => (
+                <option key={k} value={k}>{v}</option>
+              ))}
+            </select>
+            {m.kind === "invest" && quarterSelect(m.quarter, (quarter) => update("rivalMoves", m.id, { quarter }))}
+            <PillarItemSelect
+              subs={subs}
+              pillar={m.pillar}
+              item={m.kind === "invest" ? m.item : undefined}
+              onChange={(patch) => update("rivalMoves", m.id, patch)}
+              allowAllPillars={m.kind === "drift"}
+              allowAllItems
+            />
+            {m.kind === "react" && (
+              <span className="flex items-center gap-1">
+                if your lead &gt; {deltaInput(m.threshold, (threshold) => update("rivalMoves", m.id, { threshold }))} then
+              </span>
+            )}
+            {deltaInput(m.delta, (delta) => update("rivalMoves", m.id, { delta }), m.kind === "drift" ? 0.1 : 0.5)}
+            {removeBtn("rivalMoves", m.id)}
+          </div>
+        ))}
+        <button
+          onClick={() =>
+            add("rivalMoves", { target: "all", kind: "react", quarter: 1, pillar: firstPillar, item: "*", threshold: 1, delta: 0.5 })
+          }
+          className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50"
+        >
+          Add competitor move
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1">Quarter</th>
+              <th className="text-right">P (selected)</th>
+              <th className="text-right">P (leader)</th>
+              <th className="text-right">P (all)</th>
+              <th className="pl-3">Reactions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {projection.map((r) => (
+              <tr key={r.t} className="border-t">
+                <td className="py-1">{r.t}</td>
+                <td className="text-right font-medium">{pct(r.p)}</td>
+                <td className="text-right">{pct(r.pLeader)}</td>
+                <td className="text-right">{pct(r.pAll)}</td>
+                <td className="pl-3 text-xs text-gray-600">{r.reactions.join(", ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ----- Probability models -----
+const MODEL_INFO = {
+  logistic: {
+    label: "Logistic (default)",
+    formula: "P = σ(k·(Δ − θ))",
+    note: "Compensatory: a lead in one pillar offsets a gap in another.",
+  },
+  floors: {
+    label: "Pillar floors (non‑compensatory)",
+    formula: "P = σ(k·(Δ − θ)) × Π (1 − penalty·shortfall)",
+    note: "Any pillar or sub‑criterion of yours below its floor cuts P, however strong the rest is.",
+  },
+  bradleyTerry: {
+    label: "Bradley–Terry",
+    formula: "P = yᵝ / (yᵝ + (c + θ)ᵝ)",
+    note: "Relative strength: the same gap counts more between two weak players than between two strong ones.",
+  },
+  probit: {
+    label: "Probit (Thurstone–Mosteller)",
+    formula: "P = Φ(k·(Δ − θ) / 1.702)",
+    note: "Same midpoint and slope as the logistic with thinner tails: long shots and safe bets get more extreme.",
+  },
+};
+
+// The same market under every model (the live model's parameters, kind swapped)
+const compareModels = (inputs, model) =>
+  PROBABILITY_MODELS.map((kind) => ({ kind, ...marketOutlook({ ...inputs, model: { ...model, kind } }) }));
+
+// v undefined removes the floor; pillars left without floors are dropped
+const setItemFloor = (itemFloors, pk, ik, v) => {
+  const { [ik]: _, ...rest } = itemFloors[pk] ?? {};
+  const items = v === undefined ? rest : { ...rest, [ik]: v };
+  const { [pk]: __, ...others } = itemFloors;
+  return Object.keys(items).length ? { ...others, [pk]: items } : others;
+};
+
+const ModelPanel = ({ subs, model, setModel, comparison, focusId, breaches }) => {
+  const update = (patch) => setModel({ ...model, ...patch });
+  const floorInput = (value, onChange, title) => (
+    <input
+      type="number"
+      min={0}
+      max={10}
+      step={0.5}
+      value={value ?? ""}
+      placeholder="—"
+      title={title}
+      onChange={(e) => onChange(e.target.value === "" ? undefined : Math.max(0, Math.min(10, parseFloat(e.target.value) || 0)))}
+      className="w-16 px-1 py-0.5 rounded border bg-white"
+    />
+  );
+  const itemFloors = Object.entries(model.itemFloors).flatMap(([pk, items]) =>
+    Object.entries(items).filter(([ik]) => subs[pk]?.items.some((it) => it.key === ik)).map(([ik, v]) => ({ pk, ik, v }))
+  );
+  const addItemFloor = () => {
+    const free = Object.entries(subs)
+      .flatMap(([pk, def]) => def.items.map((it) => [pk, it.key]))
+      .find(([pk, ik]) => model.itemFloors[pk]?.[ik] === undefined);
+    if (free) update({ itemFloors: setItemFloor(model.itemFloors, free[0], free[1], 4) });
+  };
+  const moveItemFloor = (from, to) => {
+    const pk = to.pillar ?? from.pk;
+    const ik = to.item;
+    if (model.itemFloors[pk]?.[ik] !== undefined) return;
+    update({ itemFloors: setItemFloor(setItemFloor(model.itemFloors, from.pk, from.ik, undefined), pk, ik, from.v) });
+  };
+  const label = (b) => (b.item ? subs[b.pillar].items.find((it) => it.key === b.item).label : subs[b.pillar].label);
+  const rivals = comparison[0].rows;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {PROBABILITY_MODELS.map((kind) => (
+          <label key={kind} className={`flex gap-2 rounded-xl border p-2 cursor-pointer ${model.kind === kind ? "border-blue-500 bg-blue-50" : "bg-white"}`}>
+            <input type="radio" name="probability-model" checked={model.kind === kind} onChange={() => update({ kind })} />
+            <div>
+              <div className="font-medium">{MODEL_INFO[kind].label}</div>
+              <div className="text-xs font-mono text-gray-700">{MODEL_INFO[kind].formula}</div>
+              <div className="text-xs text-gray-500">{MODEL_INFO[kind].note}</div>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {model.kind === "floors" && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2">
+            Penalty per point below a floor
+            <input
+              type="number"
+              min={0}
+              step={0.05}
+              value={model.penalty}
+              onChange={(e) => update({ penalty: Math.max(0, parseFloat(e.target.value) || 0) })}
+              className="w-20 px-1 py-0.5 rounded border bg-white"
+            />
+            <span className="text-xs text-gray-500">1 = a full point short vetoes displacement</span>
+          </label>
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(subs).map(([pk, def]) => (
+              <label key={pk} className="flex items-center gap-1">
+                {def.short} ≥
+                {floorInput(model.floors[pk], (v) => {
+                  const { [pk]: _, ...rest } = model.floors;
+                  update({ floors: v === undefined ? rest : { ...rest, [pk]: v } });
+                }, "Pillar floor (empty = none)")}
+              </label>
+            ))}
+          </div>
+          <div className="space-y-1">
+            {itemFloors.map((f) => (
+              <div key={`${f.pk}.${f.ik}`} className="flex flex-wrap items-center gap-2">
+                <PillarItemSelect subs={subs} pillar={f.pk} item={f.ik} onChange={(to) => moveItemFloor(f, to)} />
+                ≥
+                {floorInput(f.v, (v) => update({ itemFloors: setItemFloor(model.itemFloors, f.pk, f.ik, v ?? 0) }), "Sub‑criterion floor")}
+                <button onClick={() => update({ itemFloors: setItemFloor(model.itemFloors, f.pk, f.ik, undefined) })} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50">
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button onClick={addItemFloor} className="px-3 py-1 rounded-xl border bg-white hover:bg-gray-50">
+              Add sub‑criterion floor
+            </button>
+          </div>
+          {breaches.length ? (
+            <div className="rounded-lg bg-red-50 text-red-800 px-2 py-1">
+              Below floor:{" "}
+              {breaches.map((b) => `${label(b)} ${round1(b.score)} < ${b.floor} (×${round1(Math.max(0, 1 - model.penalty * b.shortfall))})`).join(" · ")}
+            </div>
+          ) : (
+            <div className="text-xs text-gray-500">You clear every floor, so this model matches the logistic.</div>
+          )}
+        </div>
+      )}
+      {model.kind === "bradleyTerry" && (
+        <label className="flex items-center gap-2">
+          Exponent β
+          <input
+            type="number"
+            min={0.5}
+            step={0.5}
+            value={model.beta}
+            onChange={(e) => update({ beta: Math.max(0.5, parseFloat(e.target.value) || 0.5) })}
+            className="w-20 px-1 py-0.5 rounded border bg-white"
+          />
+          <span className="text-xs text-gray-500">higher = sharper; θ (maturity) is added to the rival's strength</span>
+        </label>
+      )}
+      {(model.kind === "logistic" || model.kind === "probit") && (
+        <div className="text-xs text-gray-500">Uses k and θ from the market settings above.</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-gray-500 text-xs">
+            <tr>
+              <th className="text-left py-1">Same inputs, P(displace)</th>
+              {comparison.map((c) => (
+                <th key={c.kind} className={`text-right px-2 ${c.kind === model.kind ? "text-blue-700" : ""}`}>
+                  <button onClick={() => update({ kind: c.kind })} className="hover:underline">
+                    {MODEL_INFO[c.kind].label.replace(/ \(.*\)$/, "")}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rivals.map((r, i) => (
+              <tr key={r.id} className="border-t">
+                <td className="py-1">
+                  {r.name}
+                  {r.id === focusId && <span className="text-gray-500"> (focus)</span>}
+                </td>
+                {comparison.map((c) => (
+                  <td key={c.kind} className={`text-right px-2 ${c.kind === model.kind ? "font-semibold" : ""}`}>
+                    {Math.round(c.rows[i].p * 100)}%
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {rivals.length > 1 && (
+              <tr className="border-t text-gray-600">
+                <td className="py-1">All rivals</td>
+                {comparison.map((c) => (
+                  <td key={c.kind} className={`text-right px-2 ${c.kind === model.kind ? "font-semibold" : ""}`}>
+                    {Math.round(c.pAll * 100)}%
+                  </td>
+                ))}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ----- Snapshots -----
+const getPath = (obj, path) => path.split(".").reduce((o, k) => o?.[k], obj);
+const setPath = (obj, [k, ...rest], v) => ({ ...obj, [k]: rest.length ? setPath(obj[k], rest, v) : v });
+
+// Snapshots taken before the framework became editable have no "subs": they used the default
+const snapshotSubs = (inputs) => inputs.subs ?? SUBS;
+
+// Head‑to‑head inputs (same shape as evalProbability) from a snapshot's stored state
+const snapshotHeadToHead = (inputs, rivalId) => ({
+  subs: snapshotSubs(inputs),
+  weights: inputs.weights,
+  you: inputs.you,
+  comp: inputs.competitors.find((c) => c.id === rivalId).scores,
+  maturity: inputs.maturity,
+  k: inputs.steepness,
+  shock: inputs.shock,
+  thetaMap: inputs.thetaMap ?? DEFAULT_THETA_MAP,
+  model: inputs.probModel ?? DEFAULT_MODEL,
+});
+
+// Every input of a head‑to‑head: path into evalProbability inputs + display label
+const headToHeadPaths = (subs, rivalName) => [
+  ...Object.entries(subs).flatMap(([pk, def]) =>
+    def.items.flatMap((it) => [
+      { path: `you.${pk}.${it.key}`, label: `${it.label} (you)` },
+      { path: `comp.${pk}.${it.key}`, label: `${it.label} (${rivalName})` },
+    ])
+  ),
+  ...Object.keys(subs).map((pk) => ({ path: `weights.${pk}`, label: `${subs[pk].short} weight` })),
+  { path: "maturity", label: "Market maturity" },
+  { path: "k", label: "Steepness k" },
+  { path: "shock", label: "External shock" },
+  { path: "thetaMap.base", label: "θ base" },
+  { path: "thetaMap.slope", label: "θ slope" },
+  { path: "model", label: "Probability model" }, // kind and its floors / penalty / β as one input
+];
+
+const modelText = (m) =>
+  `${MODEL_INFO[m.kind].label}${m.kind === "floors" ? ` · penalty ${m.penalty}` : m.kind === "bradleyTerry" ? ` · β ${m.beta}` : ""}`;
+
+// Compare two snapshots with full inputs; attribution is against a rival present in both.
+// Snapshots on different frameworks are not comparable input by input.
+const diffSnapshots = (a, b) => {
+  const subs = snapshotSubs(b.inputs);
+  if (JSON.stringify(snapshotSubs(a.inputs)) !== JSON.stringify(subs)) {
+    return { frameworkChanged: true, rivalName: null, pA: null, pB: null, changes: [], interaction: 0 };
+  }
+  const common = b.inputs.competitors.filter((c) => a.inputs.competitors.some((x) => x.id === c.id));
+  const rival = common.find((c) => c.id === b.inputs.focusId) ?? common[0];
+  const changes = [];
+
+  // Rivals not used for attribution still get their sub‑criteria listed
+  for (const c of common.filter((x) => x !== rival)) {
+    const before = a.inputs.competitors.find((x) => x.id === c.id).scores;
+    for (const [pk, def] of Object.entries(subs)) {
+      for (const it of def.items) {
+        const va = before[pk]?.[it.key];
+        const vb = c.scores[pk]?.[it.key];
+        if (va !== vb) changes.push({ path: `${c.id}.${pk}.${it.key}`, label: `${it.label} (${c.name})`, a: va, b: vb, effect: null });
+      }
+    }
+  }
+
+  if (!rival) return { rivalName: null, pA: null, pB: null, changes, interaction: 0 };
+
+  const hA = snapshotHeadToHead(a.inputs, rival.id);
+  const hB = snapshotHeadToHead(b.inputs, rival.id);
+  const pA = evalProbability(hA);
+  const pB = evalProbability(hB);
+  let explained = 0;
+  for (const { path, label } of headToHeadPaths(subs, rival.name)) {
+    const va = getPath(hA, path);
+    const vb = getPath(hB, path);
+    if (va === vb || (path === "model" && JSON.stringify(va) === JSON.stringify(vb))) continue;
+    const keys = path.split(".");
+    const effect =
+      0.5 * (evalProbability(setPath(hA, keys, vb)) - pA + (pB - evalProbability(setPath(hB, keys, va))));
+    explained += effect;
+    if (path !== "model") changes.push({ path, label, a: va, b: vb, effect });
+    else {
+      // Same kind and headline parameter: the floors themselves changed
+      const [ta, tb] = [modelText(va), modelText(vb)];
+      changes.push({ path, label, a: va, b: vb, aText: ta, bText: ta === tb ? `${tb} (floors edited)` : tb, effect });
+    }
+  }
+  changes.sort((x, y) => Math.abs(y.effect ?? 0) - Math.abs(x.effect ?? 0));
+  return { rivalName: rival.name, pA, pB, changes, interaction: pB - pA - explained };
+};
+
+const SnapshotPanel = ({ history, setHistory, onRestore }) => {
+  const [pick, setPick] = useState([]); // ids of up to two snapshots to diff
+  const rich = history.filter((h) => h.inputs);
+  const toggle = (id) =>
+    setPick((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-2)));
+  const [a, b] = history.filter((h) => pick.includes(h.id));
+  const diff = useMemo(() => (a && b ? diffSnapshots(a, b) : null), [a, b]);
+  const fmt = (v) => (typeof v !== "number" ? "—" : Math.abs(v) < 1 ? v.toFixed(2) : round1(v));
+  const pts = (v) => `${v > 0 ? "+" : ""}${round1(v * 100)} pts`;
+
+  if (history.length === 0) return <div className="text-sm text-gray-600">No snapshots yet.</div>;
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="max-h-64 overflow-y-auto divide-y">
+        {[...history].reverse().map((h, i) => (
+          <div key={h.id ?? `legacy-${i}`} className="flex items-center gap-2 py-1">
+            <input
+              type="checkbox"
+              disabled={!h.inputs}
+              checked={pick.includes(h.id)}
+              onChange={() => toggle(h.id)}
+              title="Select two snapshots to diff"
+            />
+            <div className="flex-1 min-w-0">
+              <div className="truncate">{h.t}</div>
+              {h.note && <div className="text-xs text-gray-500 truncate">{h.note}</div>}
+            </div>
+            <div className="font-medium w-10 text-right">{h.p}%</div>
+            <button
+              onClick={() => onRestore(h)}
+              disabled={!h.inputs}
+              className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-40"
+            >
+              Restore
+            </button>
+            <button
+              onClick={() => setHistory((prev) => prev.filter((x) => x !== h))}
+              className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      {rich.length < history.length && (
+        <div className="text-xs text-gray-500">Older snapshots only stored the probability and cannot be restored or diffed.</div>
+      )}
+
+      {!diff ? (
+        <div className="text-xs text-gray-500">Tick two snapshots to compare them.</div>
+      ) : (
+        <div className="space-y-2">
+          <div className="font-medium">
+            {a.t} → {b.t}
+          </div>
+          {diff.frameworkChanged ? (
+            <div className="text-gray-600">These snapshots use different pillar/sub‑criterion frameworks, so they cannot be diffed input by input.</div>
+          ) : diff.rivalName ? (
+            <div>
+              vs {diff.rivalName}: {Math.round(diff.pA * 100)}% → <span className="font-semibold">{Math.round(diff.pB * 100)}%</span>{" "}
+              ({pts(diff.pB - diff.pA)})
+            </div>
+          ) : (
+            <div className="text-gray-600">No competitor appears in both snapshots, so ΔP cannot be attributed.</div>
+          )}
+          {diff.frameworkChanged ? null : diff.changes.length === 0 ? (
+            <div className="text-gray-600">No inputs changed.</div>
+          ) : (
+            <table className="w-full">
+              <thead className="text-left text-gray-500">
+                <tr>
+                  <th className="py-1">Input</th>
+                  <th className="text-right">A</th>
+                  <th className="text-right">B</th>
+                  <th className="text-right">Effect on P</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.changes.map((c) => (
+                  <tr key={c.path} className="border-t">
+                    <td className="py-1">{c.label}</td>
+                    <td className="text-right">{c.aText ?? fmt(c.a)}</td>
+                    <td className={`text-right font-medium ${c.bText ? "" : c.b > c.a ? "text-green-700" : "text-red-700"}`}>{c.bText ?? fmt(c.b)}</td>
+                    <td className="text-right">{c.effect === null ? "—" : pts(c.effect)}</td>
+                  </tr>
+                ))}
+                {diff.rivalName && Math.abs(diff.interaction) >= 0.0005 && (
+                  <tr className="border-t text-gray-500">
+                    <td className="py-1" colSpan={3}>Interaction (not attributable to one input)</td>
+                    <td className="text-right">{pts(diff.interaction)}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SENS_RANGES = [0.05, 0.1, 0.2, 0.3];
+
+const SensitivityPanel = ({ inputs, rivalName }) => {
+  const [range, setRange] = useState(0.1);
+  const [group, setGroup] = useState("all");
+  const [topN, setTopN] = useState(12);
+  const [drillId, setDrillId] = useState(null);
+
+  const levers = useMemo(() => buildLevers(inputs.subs, rivalName), [inputs.subs, rivalName]);
+  const ranked = useMemo(() => tornado(inputs, levers, range), [inputs, levers, range]);
+  const rows = ranked
+    .filter((r) => group === "all" || r.group === group)
+    .slice(0, topN)
+    .map((r) => ({ ...r, low: Math.round(r.low * 1000) / 10, high: Math.round(r.high * 1000) / 10 }));
+
+  const drill = levers.find((l) => l.id === (drillId ?? rows[0]?.id));
+  const curve = drill ? sweepLever(inputs, drill, range) : [];
+  const base = Math.round(evalProbability(inputs) * 1000) / 10;
+  const fmt = (v) => `${v > 0 ? "+" : ""}${v} pts`;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 text-sm">
+        <select value={range} onChange={(e) => setRange(parseFloat(e.target.value))} className="px-2 py-1 rounded-lg border bg-white">
+          {SENS_RANGES.map((r) => (
+            <option key={r} value={r}>±{r * 100}% of scale</option>
+          ))}
+        </select>
+        <select value={group} onChange={(e) => setGroup(e.target.value)} className="px-2 py-1 rounded-lg border bg-white">
+          {Object.entries(LEVER_GROUPS).map(([k, v]) => (
+            <option key={k} value={k}>{v}</option>
+          ))}
+        </select>
+        <select value={topN} onChange={(e) => setTopN(parseInt(e.target.value, 10))} className="px-2 py-1 rounded-lg border bg-white">
+          {[8, 12, 20, 100].map((n) => (
+            <option key={n} value={n}>{n === 100 ? "All" : `Top ${n}`}</option>
+          ))}
+        </select>
+      </div>
+
+      <ResponsiveContainer width="100%" height={40 + rows.length * 24}>
+        <BarChart data={rows} layout="vertical" stackOffset="sign" margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" tickFormatter={(v) => `${v}`} tick={{ fontSize: 11 }} />
+          <YAxis type="category" dataKey="label" width={150} tick={{ fontSize: 11 }} interval={0} />
+          <Tooltip formatter={(v, name) => [fmt(v), name]} />
+          <Bar dataKey="low" name="Lever down" stackId="t" fill="#dc2626" onClick={(d) => setDrillId((d.payload ?? d).id)} />
+          <Bar dataKey="high" name="Lever up" stackId="t" fill="#2563eb" onClick={(d) => setDrillId((d.payload ?? d).id)} />
+        </BarChart>
+      </ResponsiveContainer>
+      <div className="text-xs text-gray-500">
+        Bars show the change in probability (percentage points) from the current {base}% when each lever is moved down/up. Click a bar to drill in.
+      </div>
+
+      {drill && (
+        <>
+          <select value={drill.id} onChange={(e) => setDrillId(e.target.value)} className="w-full px-2 py-1 rounded-lg border bg-white text-sm">
+            {levers.map((l) => (
+              <option key={l.id} value={l.id}>{l.label}</option>
+            ))}
+          </select>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={curve} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 11 }} label={{ value: drill.label, position: "insideBottom", offset: -6, fontSize: 11 }} />
+              <YAxis domain={[0, 100]} tickFormatter={(v) => `${v}%`} />
+              <Tooltip formatter={(v) => `${v}%`} />
+              <Line type="monotone" dataKey="p" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ----- Framework -----
+const FRAMEWORKS_KEY = "bewe_sim_frameworks";
+
+const BUILTIN_FRAMEWORKS = [
+  { name: "Bewe default (5 pillars)", builtin: true, subs: SUBS, weights: DEFAULT_WEIGHTS },
+  {
+    name: "New vertical (+ Partnerships & Pricing)",
+    builtin: true,
+    subs: {
+      ...SUBS,
+      partnerships: {
+        label: "Partnerships",
+        short: "Partners",
+        items: [
+          { key: "channelPartners", label: "Channel/Reseller Partners", w: 0.40 },
+          { key: "integrations", label: "Integrations & Marketplace", w: 0.35 },
+          { key: "alliances", label: "Strategic Alliances", w: 0.25 },
+        ],
+      },
+      pricing: {
+        label: "Pricing",
+        short: "Pricing",
+        items: [
+          { key: "priceValue", label: "Price Level vs. Value", w: 0.40 },
+          { key: "packaging", label: "Packaging/Plan Fit", w: 0.30 },
+          { key: "discounting", label: "Discount Discipline", w: 0.30 },
+        ],
+      },
+    },
+    weights: { product: 0.25, ops: 0.25, sales: 0.15, pioneering: 0.08, marketing: 0.07, partnerships: 0.10, pricing: 0.10 },
+  },
+];
+
+// camelCase key from a label, unique among `taken`
+const keyFromLabel = (label, taken) => {
+  const words = label.normalize("NFKD").replace(/[^A-Za-z0-9\s]/g, " ").trim().split(/\s+/).filter(Boolean);
+  const base = words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase())).join("") || "item";
+  let key = base;
+  for (let n = 2; taken.includes(key); n++) key = `${base}${n}`;
+  return key;
+};
+
+const itemWeightSum = (def) => def.items.reduce((a, it) => a + it.w, 0);
+
+// Re‑fit state to a framework: keep known values, default new entries, drop removed ones
+const fitScores = (scores, subs) =>
+  Object.fromEntries(
+    Object.entries(subs).map(([pk, def]) => [
+      pk,
+      Object.fromEntries(
+        def.items.map((it) => [it.key, scores?.[pk]?.[it.key] ?? DEFAULT_SCORES[pk]?.[it.key] ?? FALLBACK_SCORE])
+      ),
+    ])
+  );
+
+// New pillars get an equal share before everything is renormalized to sum 1
+const fitWeights = (weights, subs) => {
+  const keys = Object.keys(subs);
+  const raw = keys.map((k) => weights?.[k] ?? 1 / keys.length);
+  const sum = raw.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(keys.map((k, i) => [k, sum > 0 ? raw[i] / sum : 1 / keys.length]));
+};
+
+const fitCosts = (costs, subs) =>
+  Object.fromEntries(
+    Object.entries(subs).map(([pk, def]) => [
+      pk,
+      Object.fromEntries(
+        def.items.map((it) => [it.key, costs?.[pk]?.[it.key] ?? { cost: DEFAULT_COST, maxGain: DEFAULT_MAX_GAIN }])
+      ),
+    ])
+  );
+
+// Moves that point at a removed pillar/item are dropped
+const fitRoadmap = (roadmap, subs) => {
+  const ok = (m) =>
+    (m.pillar === "*" || subs[m.pillar]) &&
+    (m.item === undefined || m.item === "*" || m.pillar === "*" || subs[m.pillar].items.some((it) => it.key === m.item));
+  return { ...roadmap, plan: roadmap.plan.filter(ok), rivalMoves: roadmap.rivalMoves.filter(ok) };
+};
+
+const loadSavedFrameworks = () => {
+  try {
+    const raw = localStorage.getItem(FRAMEWORKS_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.filter((f) => typeof f?.name === "string" && validateFramework(f.subs).length === 0) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const FrameworkEditor = ({ subs, weights, onChange }) => {
+  const [saved, setSaved] = useState(loadSavedFrameworks);
+  const [name, setName] = useState("");
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(FRAMEWORKS_KEY, JSON.stringify(saved));
+    } catch {}
+  }, [saved]);
+
+  const templates = [...BUILTIN_FRAMEWORKS, ...saved];
+  const setPillar = (pk, patch) => onChange({ ...subs, [pk]: { ...subs[pk], ...patch } });
+  const setItem = (pk, i, patch) =>
+    setPillar(pk, { items: subs[pk].items.map((it, j) => (j === i ? { ...it, ...patch } : it)) });
+  const addPillar = () => {
+    const key = keyFromLabel("New pillar", Object.keys(subs));
+    onChange({ ...subs, [key]: { label: "New pillar", short: "New", items: [{ key: "criterion", label: "New criterion", w: 1 }] } });
+  };
+  const removePillar = (pk) => onChange(Object.fromEntries(Object.entries(subs).filter(([k]) => k !== pk)));
+  const addItem = (pk) => {
+    const key = keyFromLabel("New criterion", subs[pk].items.map((it) => it.key));
+    setPillar(pk, { items: [...subs[pk].items, { key, label: "New criterion", w: 0 }] });
+  };
+  const removeItem = (pk, i) => setPillar(pk, { items: subs[pk].items.filter((_, j) => j !== i) });
+  const normalizeItems = (pk) => {
+    const sum = itemWeightSum(subs[pk]);
+    const n = subs[pk].items.length;
+    setPillar(pk, { items: subs[pk].items.map((it) => ({ ...it, w: sum > 0 ? it.w / sum : 1 / n })) });
+  };
+  const saveTemplate = () => {
+    const n = name.trim();
+    if (!n || BUILTIN_FRAMEWORKS.some((f) => f.name === n)) return;
+    setSaved((prev) => [...prev.filter((f) => f.name !== n), { name: n, subs, weights }]);
+    setName("");
+  };
+  const input = "px-2 py-1 rounded-lg border bg-white";
+  const btn = "px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-40";
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value=""
+          onChange={(e) => {
+            const t = templates.find((f) => f.name === e.target.value);
+            if (t) onChange(t.subs, t.weights);
+          }}
+          className={input}
+        >
+          <option value="" disabled>Load template…</option>
+          {templates.map((f) => (
+            <option key={f.name} value={f.name}>{f.name}{f.builtin ? "" : " (saved)"}</option>
+          ))}
+        </select>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Template name" className={`${input} w-40`} />
+        <button onClick={saveTemplate} disabled={!name.trim()} className={btn}>Save as template</button>
+        {saved.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => setSaved((prev) => prev.filter((f) => f.name !== e.target.value))}
+            className={input}
+          >
+            <option value="" disabled>Delete saved…</option>
+            {saved.map((f) => (
+              <option key={f.name} value={f.name}>{f.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {Object.entries(subs).map(([pk, def]) => {
+        const sum = itemWeightSum(def);
+        const off = Math.abs(sum - 1) > 0.005;
+        return (
+          <div key={pk} className="rounded-xl border p-3 space-y-1.5">
+            <div className="flex flex-wrap items-center gap-2">
+              <input value={def.label} onChange={(e) => setPillar(pk, { label: e.target.value })} className={`${input} flex-1 min-w-0 font-medium`} />
+              <input value={def.short} onChange={(e) => setPillar(pk, { short: e.target.value })} className={`${input} w-24`} title="Short label (charts)" />
+              <span className="text-xs text-gray-400">{pk}</span>
+              <button onClick={() => removePillar(pk)} disabled={Object.keys(subs).length <= 1} className={btn}>✕</button>
+            </div>
+            {def.items.map((it, i) => (
+              <div key={it.key} className="flex items-center gap-2 pl-3">
+                <input value={it.label} onChange={(e) => setItem(pk, i, { label: e.target.value })} className={`${input} flex-1 min-w-0`} />
+                <input
+                  type="number"
+                  min={0}
+                  step={0.05}
+                  value={it.w}
+                  onChange={(e) => setItem(pk, i, { w: Math.max(0, parseFloat(e.target.value) || 0) })}
+                  className={`${input} w-20`}
+                  title="Internal weight w"
+                />
+                <button onClick={() => removeItem(pk, i)} disabled={def.items.length <= 1} className={btn}>✕</button>
+              </div>
+            ))}
+            <div className="flex items-center justify-between pl-3">
+              <button onClick={() => addItem(pk)} className={btn}>+ Sub‑criterion</button>
+              <span className={off ? "text-red-700" : "text-gray-500"}>
+                Σw = {sum.toFixed(2)}
+                {off && (
+                  <button onClick={() => normalizeItems(pk)} className={`${btn} ml-2`}>Normalize</button>
+                )}
+              </span>
+            </div>
+          </div>
+        );
+      })}
+      <button onClick={addPillar} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50">Add Pillar</button>
+    </div>
+  );
+};
+
+// ----- Metric mappings -----
+const MAPPING_LABELS = { linear: "Linear", thresholds: "Thresholds", percentile: "Benchmark percentile" };
+
+// Defaults for the sub‑criteria we already track as numbers (default framework keys)
+const DEFAULT_METRIC_MAPS = {
+  product: {
+    reliability: { metric: "Uptime", unit: "%", curve: "linear", lo: 99, hi: 99.99 },
+  },
+  ops: {
+    supportSLA: {
+      metric: "Median resolution",
+      unit: "h",
+      curve: "thresholds",
+      direction: "lower",
+      steps: [
+        { at: 2, score: 10 },
+        { at: 4, score: 8 },
+        { at: 8, score: 6 },
+        { at: 24, score: 4 },
+        { at: 48, score: 2 },
+      ],
+    },
+    retention: { metric: "Monthly churn", unit: "%", curve: "linear", lo: 5, hi: 0.5 },
+  },
+  sales: {
+    conversion: { metric: "Win rate", unit: "%", curve: "percentile", direction: "higher", benchmark: [12, 18, 22, 25, 28, 31, 35, 40] },
+    unitEconomics: {
+      metric: "CAC payback",
+      unit: "months",
+      curve: "thresholds",
+      direction: "lower",
+      steps: [
+        { at: 6, score: 10 },
+        { at: 12, score: 8 },
+        { at: 18, score: 6 },
+        { at: 24, score: 4 },
+        { at: 36, score: 2 },
+      ],
+    },
+  },
+};
+
+// Only complete mappings on sub‑criteria of the live framework drive scores
+const activeMappings = (maps, subs) =>
+  Object.fromEntries(
+    Object.entries(maps).map(([pk, items]) => [
+      pk,
+      Object.fromEntries(
+        Object.entries(items).filter(([ik, m]) => subs[pk]?.items.some((it) => it.key === ik) && validateMapping(m).length === 0)
+      ),
+    ])
+  );
+
+// Loading keeps each complete mapping and drops only the broken ones (an unfinished draft)
+const validMappingsOf = (maps) =>
+  Object.fromEntries(
+    Object.entries(maps)
+      .filter(([, items]) => isObj(items))
+      .map(([pk, items]) => [pk, Object.fromEntries(Object.entries(items).filter(([, m]) => validateMapping(m).length === 0))])
+  );
+const validMetrics = (metrics) =>
+  isObj(metrics) &&
+  Object.values(metrics).every((side) => isObj(side) && Object.values(side).every((items) => isObj(items) && Object.values(items).every(isNum)));
+
+// x‑range for the curve preview
+const curveDomain = (m) => {
+  const pts = m.curve === "linear" ? [m.lo, m.hi] : m.curve === "thresholds" ? m.steps.map((st) => st.at) : m.benchmark;
+  const lo = Math.min(...pts);
+  const hi = Math.max(...pts);
+  const pad = (hi - lo || Math.abs(hi) || 1) * 0.15;
+  return [lo - pad, hi + pad];
+};
+
+// Metric value under a mapped slider: raw input → derived score
+const MetricInput = ({ mapping, value, score, onChange }) => {
+  const derived = isNum(value) ? round1(metricToScore(value, mapping)) : null;
+  return (
+    <div className="flex flex-wrap items-center gap-2 -mt-1 mb-1 text-xs text-gray-600">
+      <span>
+        {mapping.metric}
+        {mapping.unit && ` (${mapping.unit})`}
+      </span>
+      <input
+        type="number"
+        step="any"
+        value={value ?? ""}
+        placeholder="—"
+        onChange={(e) => onChange(e.target.value === "" ? undefined : parseFloat(e.target.value))}
+        className="w-20 px-1 py-0.5 rounded border bg-white"
+      />
+      {derived === null ? (
+        <span>not set — slider is manual</span>
+      ) : (
+        <span>
+          → {derived} via {MAPPING_LABELS[mapping.curve].toLowerCase()}
+        </span>
+      )}
+      {derived !== null && derived !== score && (
+        <button onClick={() => onChange(value)} className="text-amber-700 underline" title="The score was changed after the metric was entered">
+          score {score} differs — re‑apply
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Comma/space separated numbers; commits on blur so partial input can be typed
+const NumberListInput = ({ value, onChange, className }) => {
+  const [draft, setDraft] = useState(null);
+  return (
+    <input
+      value={draft ?? value.join(", ")}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => {
+        if (draft === null) return;
+        onChange(draft.split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isFinite));
+        setDraft(null);
+      }}
+      className={className}
+    />
+  );
+};
+
+// Passes on only finite numbers, so clearing a field to retype it never stores NaN
+const NumberInput = ({ value, onChange, className }) => {
+  const [draft, setDraft] = useState(null);
+  return (
+    <input
+      type="number"
+      step="any"
+      value={draft ?? value}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v)) onChange(v);
+      }}
+      onBlur={() => setDraft(null)}
+      className={className}
+    />
+  );
+};
+
+const MappingEditor = ({ m, onChange }) => {
+  const numInput = (value, onValue, w = "w-20") => <NumberInput value={value} onChange={onValue} className={`${w} px-1 py-0.5 rounded border bg-white`} />;
+  const setCurve = (curve) => {
+    const base = { metric: m.metric, unit: m.unit };
+    if (curve === "linear") onChange({ ...base, curve, lo: 0, hi: 10 });
+    else if (curve === "thresholds") onChange({ ...base, curve, direction: "higher", steps: [{ at: 0, score: 5 }, { at: 10, score: 10 }] });
+    else onChange({ ...base, curve, direction: "higher", benchmark: [0, 5, 10] });
+  };
+  const errors = validateMapping(m, "mapping").map((e) => e.replace(/^mapping\.?\s?/, ""));
+  const preview = useMemo(() => {
+    if (errors.length) return [];
+    const [lo, hi] = curveDomain(m);
+    return Array.from({ length: 41 }, (_, i) => {
+      const x = lo + ((hi - lo) * i) / 40;
+      return { x: Math.round(x * 1000) / 1000, score: round1(metricToScore(x, m)) };
+    });
+  }, [m, errors.length]);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input value={m.metric} onChange={(e) => onChange({ ...m, metric: e.target.value })} placeholder="Metric" className="w-40 px-1 py-0.5 rounded border bg-white" />
+        <input value={m.unit ?? ""} onChange={(e) => onChange({ ...m, unit: e.target.value })} placeholder="unit" className="w-16 px-1 py-0.5 rounded border bg-white" />
+        <select value={m.curve} onChange={(e) => setCurve(e.target.value)} className="px-1 py-0.5 rounded border bg-white">
+          {MAPPING_CURVES.map((c) => (
+            <option key={c} value={c}>{MAPPING_LABELS[c]}</option>
+          ))}
+        </select>
+        {m.curve !== "linear" && (
+          <select value={m.direction} onChange={(e) => onChange({ ...m, direction: e.target.value })} className="px-1 py-0.5 rounded border bg-white">
+            <option value="higher">higher is better</option>
+            <option value="lower">lower is better</option>
+          </select>
+        )}
+      </div>
+      {m.curve === "linear" && (
+        <div className="flex flex-wrap items-center gap-2">
+          Score 0 at {numInput(m.lo, (lo) => onChange({ ...m, lo }))} · score 10 at {numInput(m.hi, (hi) => onChange({ ...m, hi }))}
+          <span className="text-xs text-gray-500">(swap them when lower is better)</span>
+        </div>
+      )}
+      {m.curve === "thresholds" && (
+        <div className="flex flex-wrap items-center gap-2">
+          {m.steps.map((st, i) => (
+            <span key={i} className="flex items-center gap-1">
+              {m.direction === "higher" ? "≥" : "≤"}
+              {numInput(st.at, (at) => onChange({ ...m, steps: m.steps.map((x, j) => (j === i ? { ...x, at } : x)) }), "w-16")}
+              →
+              {numInput(st.score, (score) => onChange({ ...m, steps: m.steps.map((x, j) => (j === i ? { ...x, score } : x)) }), "w-12")}
+              <button onClick={() => onChange({ ...m, steps: m.steps.filter((_, j) => j !== i) })} className="text-gray-500">✕</button>
+            </span>
+          ))}
+          <button onClick={() => onChange({ ...m, steps: [...m.steps, { at: m.steps.at(-1)?.at ?? 0, score: 5 }] })} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50">
+            + step
+          </button>
+          <span className="text-xs text-gray-500">otherwise 0</span>
+        </div>
+      )}
+      {m.curve === "percentile" && (
+        <div className="flex flex-wrap items-center gap-2">
+          Benchmark (peer values)
+          <NumberListInput value={m.benchmark} onChange={(benchmark) => onChange({ ...m, benchmark })} className="flex-1 min-w-[12rem] px-1 py-0.5 rounded border bg-white" />
+        </div>
+      )}
+      {errors.length > 0 ? (
+        <div className="text-xs text-red-700">{errors.join(" · ")} — not applied until fixed</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={110}>
+          <LineChart data={preview} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 10 }} />
+            <YAxis domain={[0, 10]} tick={{ fontSize: 10 }} />
+            <Tooltip formatter={(v) => [v, "Score"]} labelFormatter={(x) => `${m.metric} ${x}${m.unit ? ` ${m.unit}` : ""}`} />
+            <Line dataKey="score" stroke="#2563eb" dot={false} type={m.curve === "linear" ? "linear" : "stepAfter"} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+const MappingsPanel = ({ subs, metricMaps, setMetricMaps }) => {
+  const entries = Object.entries(metricMaps).flatMap(([pk, items]) =>
+    Object.entries(items)
+      .filter(([ik]) => subs[pk]?.items.some((it) => it.key === ik))
+      .map(([ik, m]) => ({ pk, ik, m }))
+  );
+  const unmapped = Object.entries(subs).flatMap(([pk, def]) => def.items.filter((it) => !metricMaps[pk]?.[it.key]).map((it) => ({ pk, it })));
+  const [pick, setPick] = useState(null); // { pillar, item } for "Add mapping"
+  const target = pick ?? (unmapped[0] && { pillar: unmapped[0].pk, item: unmapped[0].it.key });
+
+  const put = (pk, ik, m) => setMetricMaps({ ...metricMaps, [pk]: { ...metricMaps[pk], [ik]: m } });
+  const remove = (pk, ik) => {
+    const { [ik]: _, ...rest } = metricMaps[pk];
+    setMetricMaps({ ...metricMaps, [pk]: rest });
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="text-gray-600">
+        Enter the raw metric under a mapped slider (for you and each rival) and the score is derived from it. Leave it empty to score by hand.
+      </div>
+      {entries.map(({ pk, ik, m }) => (
+        <div key={`${pk}.${ik}`} className="rounded-xl border p-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="font-medium">
+              {subs[pk].short} · {subs[pk].items.find((it) => it.key === ik).label}
+            </div>
+            <button onClick={() => remove(pk, ik)} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50">✕</button>
+          </div>
+          <MappingEditor m={m} onChange={(next) => put(pk, ik, next)} />
+        </div>
+      ))}
+      {target && (
+        <div className="flex flex-wrap items-center gap-2">
+          <PillarItemSelect subs={subs} pillar={target.pillar} item={target.item} onChange={(patch) => setPick({ ...target, ...patch })} />
+          <button
+            onClick={() => {
+              const label = subs[target.pillar].items.find((it) => it.key === target.item).label;
+              put(target.pillar, target.item, { metric: label, unit: "", curve: "linear", lo: 0, hi: 10 });
+            }}
+            disabled={Boolean(metricMaps[target.pillar]?.[target.item])}
+            className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40"
+          >
+            Add mapping
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ----- Scenario files -----
+const downloadFile = (name, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const fileStamp = () => new Date().toISOString().slice(0, 10);
+
+const validCosts = (costs, subs) =>
+  isObj(costs) &&
+  Object.entries(subs).every(([pk, def]) =>
+    def.items.every((it) => isNum(costs[pk]?.[it.key]?.cost) && isNum(costs[pk]?.[it.key]?.maxGain))
+  );
+
+// Returns { scenario } or { errors: [message] }; the engine validates the core, optional
+// app state is kept only when it is well‑formed
+const parseScenarioJson = (text) => {
+  const { scenario: core, data, errors } = readScenarioJson(text);
+  if (errors) return { errors };
+  const { subs } = core;
+  const competitors = core.competitors.map((c) => ({ id: typeof c.id === "string" ? c.id : uid(), name: c.name, scores: c.scores }));
+  return {
+    scenario: {
+      ...core,
+      competitors,
+      focusId: competitors.some((c) => c.id === data.focusId) ? data.focusId : competitors[0].id,
+      // Optional planning state; older or hand‑written files may omit it
+      costs: validCosts(data.costs, subs) ? data.costs : undefined,
+      roadmap:
+        isObj(data.roadmap) && Number.isInteger(data.roadmap.quarters) && Array.isArray(data.roadmap.plan) && Array.isArray(data.roadmap.rivalMoves)
+          ? data.roadmap
+          : undefined,
+      spreads: isObj(data.spreads) && isObj(data.spreads.sides) ? data.spreads : undefined,
+      evidence: validEvidence(data.evidence) ? data.evidence : undefined,
+      metricMaps: isObj(data.metricMaps) ? validMappingsOf(data.metricMaps) : undefined,
+      metrics: validMetrics(data.metrics) ? data.metrics : undefined,
+      team: validTeam(data.team) ? data.team : undefined,
+      portfolio: core.portfolio
+        ? {
+            activeId: core.portfolio.activeId,
+            markets: core.portfolio.markets.map((m) => ({
+              ...m,
+              focusId: m.competitors.some((c) => c.id === m.focusId) ? m.focusId : m.competitors[0].id,
+              evidence: validEvidence(m.evidence) ? m.evidence : undefined,
+            })),
+          }
+        : undefined,
+    },
+  };
+};
+
+const scoresToCsv = (you, competitors, subs) => {
+  const header = [...GRID_FIXED, "You", ...competitors.map((c) => c.name)];
+  const rows = Object.entries(subs).flatMap(([pk, def]) =>
+    def.items.map((it) => [pk, it.key, it.label, it.w, you[pk][it.key], ...competitors.map((c) => c.scores[pk][it.key])])
+  );
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+};
+
+// Columns after the fixed ones are sides: "You" or a competitor name (new names add a competitor)
+// Returns { you, competitors } or { errors }
+const csvToScores = (text, you, competitors, subs) => {
+  const grid = readScoreGrid(text, subs);
+  if (grid.errors) return grid;
+  const sides = grid.sides.map(({ name, scores: filled }) => {
+    const side = { name, filled };
+    if (name.toLowerCase() === "you") return { ...side, kind: "you", scores: you };
+    const existing = competitors.find((c) => c.name.trim().toLowerCase() === name.toLowerCase());
+    return { ...side, kind: "comp", comp: existing ?? mkCompetitor(name, subs), scores: existing ? existing.scores : mkDefaultScores(subs), isNew: !existing };
+  });
+  // Cells read from the file overwrite; blank cells keep the current value
+  for (const side of sides) {
+    for (const [pk, items] of Object.entries(side.filled)) {
+      for (const [ik, v] of Object.entries(items)) side.scores = setSubScore(side.scores, pk, ik, v);
+    }
+  }
+
+  const errors = [];
+  const newSides = sides.filter((sd) => sd.isNew);
+  // A brand‑new competitor must be scored on every sub‑criterion, not silently defaulted
+  for (const sd of newSides) {
+    for (const [pk, def] of Object.entries(subs)) {
+      for (const it of def.items) {
+        if (sd.filled[pk]?.[it.key] === undefined) errors.push(`New competitor "${sd.name}" has no score for ${pk}.${it.key}`);
+      }
+    }
+  }
+  if (errors.length) return { errors };
+
+  const bySide = (c) => sides.find((sd) => sd.kind === "comp" && sd.comp === c);
+  return {
+    you: sides.find((sd) => sd.kind === "you")?.scores ?? you,
+    competitors: [
+      ...competitors.map((c) => (bySide(c) ? { ...c, scores: bySide(c).scores } : c)),
+      ...newSides.map((sd) => ({ ...sd.comp, scores: sd.scores })),
+    ],
+  };
+};
+
+const ScenarioFiles = ({ subs, shareHash, buildScenario, onImportScenario, you, competitors, onImportGrid }) => {
+  const [status, setStatus] = useState(null); // { ok, lines: [] }
+
+  const readFile = (e, handle) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re‑importing the same file
+    if (!file) return;
+    file.text().then(
+      (text) => handle(file.name, text),
+      (err) => setStatus({ ok: false, lines: [`Could not read ${file.name}: ${err.message}`] })
+    );
+  };
+  const importJson = (name, text) => {
+    const { scenario, errors } = parseScenarioJson(text);
+    if (errors) return setStatus({ ok: false, lines: [`${name} was not imported:`, ...errors] });
+    onImportScenario(scenario);
+    setStatus({ ok: true, lines: [`Imported ${name} (${scenario.competitors.length} competitor(s), ${scenario.history.length} snapshot(s))`] });
+  };
+  const importCsv = (name, text) => {
+    const res = csvToScores(text, you, competitors, subs);
+    if (res.errors) return setStatus({ ok: false, lines: [`${name} was not imported:`, ...res.errors] });
+    onImportGrid(res);
+    setStatus({ ok: true, lines: [`Imported scores from ${name}`] });
+  };
+  const btn = "px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm cursor-pointer";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <button
+          className={btn}
+          onClick={() => downloadFile(`bewe-scenario-${fileStamp()}.json`, JSON.stringify(buildScenario(), null, 2), "application/json")}
+        >
+          Export JSON
+        </button>
+        <label className={btn}>
+          Import JSON
+          <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => readFile(e, importJson)} />
+        </label>
+        <button className={btn} onClick={() => downloadFile(`bewe-scores-${fileStamp()}.csv`, scoresToCsv(you, competitors, subs), "text/csv")}>
+          Export CSV grid
+        </button>
+        <label className={btn}>
+          Import CSV grid
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => readFile(e, importCsv)} />
+        </label>
+        <button
+          className={btn}
+          onClick={() =>
+            navigator.clipboard.writeText(window.location.origin + window.location.pathname + window.location.search + shareHash).then(
+              () => setStatus({ ok: true, lines: ["Share link copied to the clipboard"] }),
+              () => setStatus({ ok: false, lines: ["Could not copy — copy the address bar instead"] })
+            )
+          }
+        >
+          Copy share link
+        </button>
+      </div>
+      {status && (
+        <div className={`text-sm rounded-xl border p-2 ${status.ok ? "border-green-200 text-green-800" : "border-red-200 text-red-800"}`}>
+          {status.lines.map((l, i) => (
+            <div key={i} className={i > 0 && !status.ok ? "pl-3 text-xs" : ""}>{l}</div>
+          ))}
+        </div>
+      )}
+      <div className="text-xs text-gray-500">
+        JSON holds the whole scenario (all sides, weights, framework, model, snapshots, plans). The CSV grid has one column per side
+        (“You” plus competitor names) — blank cells keep the current score, new names add a competitor.
+      </div>
+    </div>
+  );
+};
+
+// ----- Calibration -----
+const OUTCOME_COLUMNS = ["market", "you_score", "comp_score", "maturity", "shock", "displaced"];
+const TRUTHY = ["1", "true", "yes", "y", "won", "win"];
+const FALSY = ["0", "false", "no", "n", "lost", "loss"];
+
+// Scores are grand scores on 0–10 (as shown in the UI); returns { records } or { errors }
+const parseOutcomes = (text) => {
+  let rows;
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[")) {
+    try {
+      rows = JSON.parse(trimmed);
+    } catch (e) {
+      return { errors: [`Not valid JSON: ${e.message}`] };
+    }
+    if (!rows.every(isObj)) return { errors: ["JSON must be an array of objects"] };
+  } else {
+    const [header, ...body] = parseCsv(trimmed);
+    if (!header) return { errors: ["File is empty"] };
+    const cols = header.map((h) => h.trim().toLowerCase());
+    rows = body.map((r) => Object.fromEntries(cols.map((c, i) => [c, r[i]])));
+  }
+
+  const errors = [];
+  const records = [];
+  rows.forEach((r, n) => {
+    const where = `Record ${n + 1}${r.market ? ` (${r.market})` : ""}`;
+    const num = (key, lo, hi, fallback) => {
+      const raw = r[key];
+      if ((raw === undefined || String(raw).trim() === "") && fallback !== undefined) return fallback;
+      const v = Number(raw);
+      if (!Number.isFinite(v) || v < lo || v > hi) {
+        errors.push(`${where}: ${key} must be a number ${lo}–${hi} (got ${JSON.stringify(raw)})`);
+        return NaN;
+      }
+      return v;
+    };
+    const you = num("you_score", 0, 10);
+    const comp = num("comp_score", 0, 10);
+    const maturity = num("maturity", 0, 10);
+    const shock = num("shock", -1, 1, 0);
+    const flag = String(r.displaced ?? "").trim().toLowerCase();
+    if (![...TRUTHY, ...FALSY].includes(flag)) errors.push(`${where}: displaced must be 1/0, true/false or yes/no`);
+    records.push({ market: r.market ?? `#${n + 1}`, you01: you / 10, comp01: comp / 10, maturity, shock, won: TRUTHY.includes(flag) ? 1 : 0 });
+  });
+  if (errors.length) return { errors };
+  if (records.length < 5) return { errors: [`Need at least 5 records to fit 3 parameters (got ${records.length})`] };
+  if (!records.some((r) => r.won) || records.every((r) => r.won)) return { errors: ["Need at least one displaced and one not‑displaced market"] };
+  return { records };
+};
+
+// Solve the 3×3 system A·x = b (Gaussian elimination with partial pivoting)
+const solve3 = (A, b) => {
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < 3; c++) {
+    let piv = c;
+    for (let r = c + 1; r < 3; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+    [M[c], M[piv]] = [M[piv], M[c]];
+    for (let r = 0; r < 3; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let j = c; j < 4; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map((row, i) => row[3] / row[i]);
+};
+
+// Metrics of a (k, θ mapping) on the records, plus calibration bins for the plot
+const scoreModel = (records, k, thetaMap, bins = 5) => {
+  let logLoss = 0;
+  let brier = 0;
+  const acc = Array.from({ length: bins }, () => ({ n: 0, pred: 0, obs: 0 }));
+  for (const r of records) {
+    const p = probabilityToDisplace({ you01: r.you01, comp01: r.comp01, maturity: r.maturity, k, shock: r.shock, thetaMap });
+    const pc = Math.min(1 - 1e-12, Math.max(1e-12, p));
+    logLoss -= r.won ? Math.log(pc) : Math.log(1 - pc);
+    brier += (p - r.won) ** 2;
+    const b = acc[Math.min(bins - 1, Math.floor(p * bins))];
+    b.n += 1;
+    b.pred += p;
+    b.obs += r.won;
+  }
+  return {
+    logLoss: logLoss / records.length,
+    brier: brier / records.length,
+    bins: acc.filter((b) => b.n).map((b) => ({ pred: b.pred / b.n, obs: b.obs / b.n, ideal: b.pred / b.n, n: b.n })),
+  };
+};
+
+// z = β0 + β1·Δ + β2·m  ⇔  k = β1, base = −β0/k, slope = −β2/k
+const calibrateModel = (records, start = { k: 8, thetaMap: DEFAULT_THETA_MAP }, ridge = 1e-3) => {
+  let beta = [-start.k * start.thetaMap.base, start.k, -start.k * start.thetaMap.slope];
+  const X = records.map((r) => [1, r.you01 - r.comp01 + r.shock, r.maturity / 10]);
+  let converged = false;
+  let iterations = 0;
+  for (; iterations < 100 && !converged; iterations++) {
+    const g = beta.map((b) => -ridge * b);
+    const H = [0, 1, 2].map((i) => [0, 1, 2].map((j) => (i === j ? ridge : 0)));
+    X.forEach((x, n) => {
+      const p = logistic(x[0] * beta[0] + x[1] * beta[1] + x[2] * beta[2]);
+      for (let i = 0; i < 3; i++) {
+        g[i] += (records[n].won - p) * x[i];
+        for (let j = 0; j < 3; j++) H[i][j] += p * (1 - p) * x[i] * x[j];
+      }
+    });
+    const step = solve3(H, g); // Newton step on the (negated) Hessian
+    if (step.some((v) => !Number.isFinite(v))) break;
+    beta = beta.map((b, i) => b + step[i]);
+    converged = Math.max(...step.map(Math.abs)) < 1e-8;
+  }
+  const k = beta[1];
+  if (!(k > 0)) {
+    return { error: "The outcomes do not show a higher win rate for a larger advantage Δ (fitted k ≤ 0); check the data." };
+  }
+  const thetaMap = { base: -beta[0] / k, slope: -beta[2] / k };
+  return { k, thetaMap, converged, iterations, fit: scoreModel(records, k, thetaMap) };
+};
+
+const CalibrationPanel = ({ k, thetaMap, onApply }) => {
+  const [data, setData] = useState(null); // { name, records } | { name, errors }
+  const result = useMemo(() => (data?.records ? calibrateModel(data.records, { k, thetaMap }) : null), [data, k, thetaMap]);
+  const current = useMemo(() => (data?.records ? scoreModel(data.records, k, thetaMap) : null), [data, k, thetaMap]);
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(
+      (text) => setData({ name: file.name, ...parseOutcomes(text) }),
+      (err) => setData({ name: file.name, errors: [err.message] })
+    );
+  };
+  const template = [
+    OUTCOME_COLUMNS.join(","),
+    "Madrid,6.4,5.1,7,0,1",
+    "Lisbon,5.2,6.0,4,0,0",
+  ].join("\n");
+  const btn = "px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm cursor-pointer";
+  const f3 = (v) => v.toFixed(3);
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className={btn}>
+          Load outcomes (CSV/JSON)
+          <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={onFile} />
+        </label>
+        <button className={btn} onClick={() => downloadFile("bewe-outcomes-template.csv", template, "text/csv")}>
+          Download template
+        </button>
+        <span className="text-gray-500">
+          Live model: k = {round1(k)}, θ = {thetaMap.base.toFixed(2)} + {thetaMap.slope.toFixed(2)}·maturity/10
+        </span>
+      </div>
+
+      {data?.errors && (
+        <div className="rounded-xl border border-red-200 text-red-800 p-2">
+          <div>{data.name} could not be used:</div>
+          {data.errors.map((e, i) => (
+            <div key={i} className="pl-3 text-xs">{e}</div>
+          ))}
+        </div>
+      )}
+      {result?.error && <div className="rounded-xl border border-red-200 text-red-800 p-2">{result.error}</div>}
+
+      {result && !result.error && (
+        <>
+          <div className="text-gray-600">
+            {data.records.length} markets from {data.name} ({data.records.filter((r) => r.won).length} displaced)
+            {!result.converged && <span className="text-amber-700"> — fit did not fully converge after {result.iterations} iterations</span>}
+          </div>
+          <table className="w-full">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-1"></th>
+                <th className="text-right">k</th>
+                <th className="text-right">θ base</th>
+                <th className="text-right">θ slope</th>
+                <th className="text-right">Log‑loss</th>
+                <th className="text-right">Brier</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-t">
+                <td className="py-1">Live model</td>
+                <td className="text-right">{round1(k)}</td>
+                <td className="text-right">{f3(thetaMap.base)}</td>
+                <td className="text-right">{f3(thetaMap.slope)}</td>
+                <td className="text-right">{f3(current.logLoss)}</td>
+                <td className="text-right">{f3(current.brier)}</td>
+              </tr>
+              <tr className="border-t font-medium">
+                <td className="py-1">Calibrated</td>
+                <td className="text-right">{round1(result.k)}</td>
+                <td className="text-right">{f3(result.thetaMap.base)}</td>
+                <td className="text-right">{f3(result.thetaMap.slope)}</td>
+                <td className="text-right">{f3(result.fit.logLoss)}</td>
+                <td className="text-right">{f3(result.fit.brier)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={result.fit.bins} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="pred" type="number" domain={[0, 1]} tickFormatter={(v) => `${Math.round(v * 100)}%`} tick={{ fontSize: 11 }} />
+              <YAxis domain={[0, 1]} tickFormatter={(v) => `${Math.round(v * 100)}%`} tick={{ fontSize: 11 }} />
+              <Tooltip formatter={(v) => `${Math.round(v * 100)}%`} />
+              <Legend />
+              <Line dataKey="ideal" name="Perfect calibration" stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+              <Line dataKey="obs" name="Observed win rate" stroke="#2563eb" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+          <div className="flex gap-2">
+            <button className={btn} onClick={() => onApply(result.k, result.thetaMap)}>Apply calibrated k & θ</button>
+            <button className={btn} onClick={() => onApply(8, DEFAULT_THETA_MAP)}>Reset to defaults</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ----- Market portfolio -----
+const DEFAULT_MARKET_SIZE = 1; // revenue potential; any unit works as long as it is consistent
+const PORTFOLIO_METRICS = { leader: "P(displace leader)", all: "P(displace all)" };
+const PORTFOLIO_SORTS = { p: "Probability", ev: "Expected value (P × size)" };
+
+// 2×2: probability (x) vs. market size (y); split at P = 50% and the median size
+const QUADRANTS = {
+  attack: { label: "Attack now", color: "#059669" },
+  build: { label: "Build, then attack", color: "#d97706" },
+  quickWin: { label: "Quick win", color: "#2563eb" },
+  skip: { label: "Deprioritize", color: "#9ca3af" },
+};
+const quadrantOf = (p, size, sizeSplit) =>
+  size >= sizeSplit ? (p >= 0.5 ? "attack" : "build") : p >= 0.5 ? "quickWin" : "skip";
+
+const mkMarket = (name, fields) => ({ id: uid(), name, size: DEFAULT_MARKET_SIZE, maturity: 6, shock: 0, ...fields });
+
+// Every market is scored with the shared "you", weights and model (k, θ, probability model);
+// maturity, shock and the competitor set are per market
+const evaluatePortfolio = ({ subs, weights, you, markets, k, thetaMap, model, metric }) => {
+  const you01 = grandScore01(weights, you, subs);
+  const rows = markets.map((m) => {
+    const rivals = m.competitors.map((c) => ({ id: c.id, name: c.name, score01: grandScore01(weights, c.scores, subs) }));
+    const o = marketOutlook({ you01, rivals, maturity: m.maturity, k, shock: m.shock, thetaMap, model, you, subs });
+    const p = metric === "all" ? o.pAll : o.pLeader;
+    return { id: m.id, name: m.name, size: m.size, maturity: m.maturity, shock: m.shock, rivals: rivals.length, leader: o.leader?.name, p, ev: p * m.size };
+  });
+  const sizeSplit = quantile(rows.map((r) => r.size).sort((a, b) => a - b), 0.5);
+  return { sizeSplit, rows: rows.map((r) => ({ ...r, quadrant: quadrantOf(r.p, r.size, sizeSplit) })) };
+};
+
+const PortfolioPanel = ({ portfolio, activeId, metric, setMetric, onOpen, onAdd, onRemove, onUpdate }) => {
+  const [sortBy, setSortBy] = useState("ev");
+  const ranked = [...portfolio.rows].sort((a, b) => b[sortBy] - a[sortBy]);
+  const num = (value, onChange, { step = 1, min, max, w = "w-16" } = {}) => (
+    <input
+      type="number"
+      step={step}
+      min={min}
+      max={max}
+      value={value}
+      onChange={(e) => {
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v)) onChange(Math.min(max ?? Infinity, Math.max(min ?? -Infinity, v)));
+      }}
+      className={`${w} px-1 py-0.5 rounded border bg-white text-right`}
+    />
+  );
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const fmt = (v) => (Math.abs(v) >= 100 ? Math.round(v).toLocaleString() : round1(v).toLocaleString());
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          Probability
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} className="px-2 py-1 rounded-lg border bg-white">
+            {Object.entries(PORTFOLIO_METRICS).map(([k, v]) => (
+              <option key={k} value={k}>{v}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Rank by
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="px-2 py-1 rounded-lg border bg-white">
+            {Object.entries(PORTFOLIO_SORTS).map(([k, v]) => (
+              <option key={k} value={k}>{v}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={onAdd} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50">Add market</button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1">#</th>
+              <th>Market</th>
+              <th className="text-right">Size</th>
+              <th className="text-right">Maturity</th>
+              <th className="text-right">Shock</th>
+              <th className="text-right">Rivals</th>
+              <th className="text-right">P</th>
+              <th className="text-right">EV</th>
+              <th className="pl-2">Quadrant</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map((r, i) => (
+              <tr key={r.id} className={`border-t ${r.id === activeId ? "bg-blue-50" : ""}`}>
+                <td className="py-1 pr-2 text-gray-500">{i + 1}</td>
+                <td>
+                  <input
+                    value={r.name}
+                    onChange={(e) => onUpdate(r.id, { name: e.target.value })}
+                    className="w-full min-w-[7rem] px-1 py-0.5 rounded border bg-white"
+                  />
+                </td>
+                <td className="text-right">{num(r.size, (size) => onUpdate(r.id, { size }), { min: 0, w: "w-20" })}</td>
+                <td className="text-right">{num(r.maturity, (maturity) => onUpdate(r.id, { maturity }), { step: 0.5, min: 0, max: 10 })}</td>
+                <td className="text-right">{num(r.shock, (shock) => onUpdate(r.id, { shock }), { step: 0.01, min: -0.2, max: 0.2 })}</td>
+                <td className="text-right text-gray-600" title={r.leader ? `Leader: ${r.leader}` : undefined}>{r.rivals}</td>
+                <td className="text-right font-medium">{pct(r.p)}</td>
+                <td className="text-right">{fmt(r.ev)}</td>
+                <td className="pl-2 whitespace-nowrap" style={{ color: QUADRANTS[r.quadrant].color }}>{QUADRANTS[r.quadrant].label}</td>
+                <td className="text-right whitespace-nowrap">
+                  {r.id === activeId ? (
+                    <span className="text-xs text-blue-700 px-1">editing</span>
+                  ) : (
+                    <button onClick={() => onOpen(r.id)} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50">Open</button>
+                  )}
+                  <button
+                    onClick={() => onRemove(r.id)}
+                    disabled={portfolio.rows.length <= 1}
+                    className="ml-1 px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ResponsiveContainer width="100%" height={280}>
+        <ScatterChart margin={{ top: 20, right: 20, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" dataKey="p" name="Probability" domain={[0, 1]} tickFormatter={pct} tick={{ fontSize: 11 }} />
+          <YAxis type="number" dataKey="size" name="Size" tick={{ fontSize: 11 }} />
+          <ReferenceLine x={0.5} stroke="#6b7280" strokeDasharray="4 4" />
+          <ReferenceLine y={portfolio.sizeSplit} stroke="#6b7280" strokeDasharray="4 4" />
+          <Tooltip
+            formatter={(v, name) => (name === "Probability" ? pct(v) : fmt(v))}
+            labelFormatter={() => ""}
+          />
+          <Scatter data={portfolio.rows} onClick={(d) => onOpen((d.payload ?? d).id)}>
+            {portfolio.rows.map((r) => (
+              <Cell key={r.id} fill={QUADRANTS[r.quadrant].color} stroke={r.id === activeId ? "#111827" : undefined} strokeWidth={2} />
+            ))}
+            <LabelList dataKey="name" position="top" style={{ fontSize: 11 }} />
+          </Scatter>
+        </ScatterChart>
+      </ResponsiveContainer>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-500">
+        {Object.values(QUADRANTS).map((q) => (
+          <span key={q.label} style={{ color: q.color }}>● {q.label}</span>
+        ))}
+        <span>Split at P = 50% and the median size ({fmt(portfolio.sizeSplit)}). Click a point to open that market.</span>
+      </div>
+    </div>
+  );
+};
+
+// ----- Assessors -----
+// Roles weigh more on their home pillars in the role‑weighted consensus (editable per pillar)
+const ROLES = {
+  product: { label: "Product lead", home: ["product", "pioneering"] },
+  sales: { label: "Sales lead", home: ["sales", "marketing"] },
+  cs: { label: "CS lead", home: ["ops"] },
+  exec: { label: "Executive", home: [] },
+};
+const HOME_WEIGHT = 2;
+const AGGREGATION_LABELS = { mean: "Mean", median: "Median", weighted: "Role‑weighted mean" };
+const DISAGREEMENT_RANGE = 2; // max − min in points that counts as a strong disagreement
+
+const mkRoleWeights = (subs) =>
+  Object.fromEntries(
+    Object.entries(ROLES).map(([role, def]) => [role, Object.fromEntries(Object.keys(subs).map((pk) => [pk, def.home.includes(pk) ? HOME_WEIGHT : 1]))])
+  );
+const mkAssessor = (name, role) => ({ id: uid(), name, role });
+// grids[assessorId][side] holds only the sub‑criteria that assessor actually scored
+const mkTeam = (subs) => {
+  const first = mkAssessor("Assessor 1", "product");
+  return { enabled: false, assessors: [first], activeId: first.id, aggregation: "mean", roleWeights: mkRoleWeights(subs), grids: {} };
+};
+const teamGrids = (team, side) => team.assessors.map((a) => ({ scores: team.grids[a.id]?.[side], weights: team.roleWeights[a.role] }));
+
+// An assessor's view of a side: their own scores over the consensus
+const overlayScores = (base, own) => Object.fromEntries(Object.entries(base).map(([pk, items]) => [pk, { ...items, ...own?.[pk] }]));
+
+const validTeam = (t) =>
+  isObj(t) &&
+  Array.isArray(t.assessors) &&
+  t.assessors.length > 0 &&
+  t.assessors.every((a) => typeof a?.id === "string" && typeof a.name === "string" && a.role in ROLES) &&
+  t.assessors.some((a) => a.id === t.activeId) &&
+  AGGREGATIONS.includes(t.aggregation) &&
+  isObj(t.roleWeights) &&
+  isObj(t.grids);
+
+const TeamPanel = ({ subs, team, setTeam, sides, views, consensusP, rivalName }) => {
+  const update = (patch) => setTeam({ ...team, ...patch });
+  const setAssessor = (id, patch) => update({ assessors: team.assessors.map((a) => (a.id === id ? { ...a, ...patch } : a)) });
+  const add = () => {
+    const a = mkAssessor(`Assessor ${team.assessors.length + 1}`, Object.keys(ROLES)[team.assessors.length % Object.keys(ROLES).length]);
+    update({ assessors: [...team.assessors, a], activeId: a.id });
+  };
+  const remove = (id) => {
+    const { [id]: _, ...grids } = team.grids;
+    const assessors = team.assessors.filter((a) => a.id !== id);
+    update({ assessors, grids, activeId: id === team.activeId ? assessors[0].id : team.activeId });
+  };
+  const nameOf = Object.fromEntries(team.assessors.map((a) => [a.id, a.name]));
+  const itemLabel = (pk, ik) => subs[pk]?.items.find((it) => it.key === ik)?.label ?? ik;
+
+  const disagreements = useMemo(
+    () =>
+      sides.flatMap((side) =>
+        scoreDisagreement(teamGrids(team, side.id), subs)
+          .filter((d) => d.range >= DISAGREEMENT_RANGE)
+          .map((d) => ({
+            ...d,
+            side: side.name,
+            values: team.assessors.filter((a) => isNum(team.grids[a.id]?.[side.id]?.[d.pillar]?.[d.item])).map((a) => [a.id, team.grids[a.id][side.id][d.pillar][d.item]]),
+          }))
+      ),
+    [team, sides, subs]
+  );
+
+  if (!team.enabled) {
+    return (
+      <div className="space-y-2 text-sm">
+        <div className="text-gray-600">
+          Let several people score the same grid independently; the consensus (mean, median or role‑weighted) drives the model.
+        </div>
+        <button onClick={() => update({ enabled: true })} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50">
+          Score as a team
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="space-y-1">
+        {team.assessors.map((a) => (
+          <div key={a.id} className="flex items-center gap-2">
+            <input type="radio" name="active-assessor" checked={a.id === team.activeId} onChange={() => update({ activeId: a.id })} title="Score as this assessor" />
+            <input value={a.name} onChange={(e) => setAssessor(a.id, { name: e.target.value })} className="flex-1 min-w-0 px-2 py-1 rounded-lg border bg-white" />
+            <select value={a.role} onChange={(e) => setAssessor(a.id, { role: e.target.value })} className="px-2 py-1 rounded-lg border bg-white">
+              {Object.entries(ROLES).map(([k, r]) => (
+                <option key={k} value={k}>{r.label}</option>
+              ))}
+            </select>
+            <button onClick={() => remove(a.id)} disabled={team.assessors.length <= 1} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-40">
+              ✕
+            </button>
+          </div>
+        ))}
+        <div className="flex flex-wrap items-center gap-3 pt-1">
+          <button onClick={add} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50">Add assessor</button>
+          <label className="flex items-center gap-2">
+            Consensus
+            <select value={team.aggregation} onChange={(e) => update({ aggregation: e.target.value })} className="px-2 py-1 rounded-lg border bg-white">
+              {AGGREGATIONS.map((m) => (
+                <option key={m} value={m}>{AGGREGATION_LABELS[m]}</option>
+              ))}
+            </select>
+          </label>
+          <button onClick={() => update({ enabled: false })} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50">
+            Stop team scoring
+          </button>
+        </div>
+        <div className="text-xs text-gray-500">
+          The sliders below record the selected assessor's scores; unscored items show the team value. Stopping keeps the current consensus as plain scores.
+        </div>
+      </div>
+
+      {team.aggregation === "weighted" && (
+        <div className="overflow-x-auto">
+          <table className="text-xs">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="text-left pr-2">Role weight</th>
+                {Object.entries(subs).map(([pk, def]) => (
+                  <th key={pk} className="px-1">{def.short}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(ROLES).map(([role, r]) => (
+                <tr key={role}>
+                  <td className="pr-2">{r.label}</td>
+                  {Object.keys(subs).map((pk) => (
+                    <td key={pk} className="px-1">
+                      <input
+                        type="number"
+                        min={0}
+                        step={0.5}
+                        value={team.roleWeights[role]?.[pk] ?? 1}
+                        onChange={(e) =>
+                          update({ roleWeights: { ...team.roleWeights, [role]: { ...team.roleWeights[role], [pk]: Math.max(0, parseFloat(e.target.value) || 0) } } })
+                        }
+                        className="w-14 px-1 py-0.5 rounded border bg-white"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="space-y-1">
+        <div className="font-medium">P(displace {rivalName}) by assessor</div>
+        {views.map((v) => (
+          <div key={v.id} className="flex items-center gap-2">
+            <div className="w-32 truncate">{v.name}</div>
+            <div className="flex-1 h-2 rounded bg-gray-100">
+              <div className="h-2 rounded bg-blue-500" style={{ width: `${Math.round(v.p * 100)}%` }} />
+            </div>
+            <div className="w-12 text-right font-medium">{Math.round(v.p * 100)}%</div>
+            <div className={`w-16 text-right text-xs ${v.p >= consensusP ? "text-green-700" : "text-red-700"}`}>
+              {v.p >= consensusP ? "+" : ""}
+              {Math.round((v.p - consensusP) * 1000) / 10} pp
+            </div>
+          </div>
+        ))}
+        <div className="flex items-center gap-2 border-t pt-1">
+          <div className="w-32 font-medium">Consensus</div>
+          <div className="flex-1 h-2 rounded bg-gray-100">
+            <div className="h-2 rounded bg-gray-700" style={{ width: `${Math.round(consensusP * 100)}%` }} />
+          </div>
+          <div className="w-12 text-right font-medium">{Math.round(consensusP * 100)}%</div>
+          <div className="w-16" />
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <div className="font-medium">Strong disagreements (range ≥ {DISAGREEMENT_RANGE} points)</div>
+        {disagreements.length === 0 && <div className="text-gray-500">None — assessors are within {DISAGREEMENT_RANGE} points everywhere they overlap.</div>}
+        {disagreements.map((d) => (
+          <div key={`${d.side}.${d.pillar}.${d.item}`} className="flex flex-wrap items-center gap-2 rounded-lg bg-amber-50 px-2 py-1">
+            <span className="font-medium">{d.side}</span>
+            <span>{itemLabel(d.pillar, d.item)}</span>
+            <span className="text-amber-800">range {round1(d.range)}</span>
+            <span className="text-gray-600">{d.values.map(([id, v]) => `${nameOf[id]} ${v}`).join(" · ")}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// ----- Score audit -----
+// One row per side × sub‑criterion with its provenance and review flags
+const auditRows = (subs, sides, evidence) =>
+  sides.flatMap((side) =>
+    Object.entries(subs).flatMap(([pk, def]) =>
+      def.items.map((it) => {
+        const rec = evidence[side.id]?.[pk]?.[it.key];
+        const score = side.scores[pk][it.key];
+        return {
+          key: `${side.id}.${pk}.${it.key}`,
+          side: side.name,
+          pillar: def.short ?? def.label,
+          item: it.label,
+          score,
+          rec,
+          noEvidence: !hasEvidence(rec),
+          // Score moved (import, optimizer, restore…) after its evidence was last edited
+          stale: rec?.value !== undefined && rec.value !== score,
+        };
+      })
+    )
+  );
+
+const auditToCsv = (rows) => {
+  const header = ["side", "pillar", "item", "score", "confidence", "rationale", "links", "files", "edited_by", "edited_at", "flags"];
+  const body = rows.map((r) => [
+    r.side,
+    r.pillar,
+    r.item,
+    r.score,
+    r.rec?.confidence ?? "",
+    r.rec?.rationale ?? "",
+    (r.rec?.links ?? []).join(" "),
+    (r.rec?.files ?? []).map((f) => f.name).join(" "),
+    r.rec?.by ?? "",
+    r.rec?.at ?? "",
+    [r.noEvidence && "no evidence", r.stale && "changed since edit"].filter(Boolean).join("; "),
+  ]);
+  return [header, ...body].map((r) => r.map(csvCell).join(",")).join("\n");
+};
+
+const AuditPanel = ({ subs, sides, evidence, editor, setEditor }) => {
+  const [sideFilter, setSideFilter] = useState("all");
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const all = useMemo(() => auditRows(subs, sides, evidence), [subs, sides, evidence]);
+  const rows = all.filter(
+    (r) => (sideFilter === "all" || r.key.startsWith(`${sideFilter}.`)) && (!flaggedOnly || r.noEvidence || r.stale)
+  );
+  const withEvidence = all.filter((r) => !r.noEvidence).length;
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          Editing as
+          <input
+            value={editor}
+            onChange={(e) => setEditor(e.target.value)}
+            placeholder="Your name"
+            className="w-32 px-2 py-1 rounded-lg border bg-white"
+          />
+        </label>
+        <select value={sideFilter} onChange={(e) => setSideFilter(e.target.value)} className="px-2 py-1 rounded-lg border bg-white">
+          <option value="all">All sides</option>
+          {sides.map((s) => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+          Flagged only
+        </label>
+        <button
+          onClick={() => downloadFile(`bewe-score-audit-${fileStamp()}.csv`, auditToCsv(all), "text/csv")}
+          className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50"
+        >
+          Export audit CSV
+        </button>
+      </div>
+      <div className="text-gray-600">
+        {withEvidence} of {all.length} scores have evidence
+        {all.length > withEvidence && <span className="text-red-700"> · {all.length - withEvidence} without</span>}
+        {all.some((r) => r.stale) && <span className="text-amber-700"> · {all.filter((r) => r.stale).length} changed since last edit</span>}
+      </div>
+      <div className="max-h-96 overflow-auto">
+        <table className="w-full">
+          <thead className="text-left text-gray-500 sticky top-0 bg-white">
+            <tr>
+              <th className="py-1">Side</th>
+              <th>Sub‑criterion</th>
+              <th className="text-right pr-2">Score</th>
+              <th>Conf.</th>
+              <th>Evidence</th>
+              <th>Last edited</th>
+              <th>Flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key} className="border-t align-top">
+                <td className="py-1 pr-2 whitespace-nowrap">{r.side}</td>
+                <td className="pr-2">
+                  <div>{r.item}</div>
+                  <div className="text-xs text-gray-500">{r.pillar}</div>
+                  {r.rec?.rationale && <div className="text-xs text-gray-600 italic">{r.rec.rationale}</div>}
+                </td>
+                <td className="text-right pr-2 font-medium">{r.score}</td>
+                <td>
+                  {r.rec?.confidence && <span className={`px-1 rounded text-xs ${CONFIDENCE[r.rec.confidence].cls}`}>{CONFIDENCE[r.rec.confidence].label}</span>}
+                </td>
+                <td className="pr-2 text-xs">
+                  {(r.rec?.links ?? []).map((l, i) => (
+                    <div key={i} className="truncate max-w-[14rem]">
+                      <a href={l} target="_blank" rel="noreferrer" className="text-blue-700 underline">{l}</a>
+                    </div>
+                  ))}
+                  {(r.rec?.files ?? []).map((f, i) => (
+                    <div key={`f${i}`}>
+                      <a href={f.dataUrl} download={f.name} className="text-blue-700 underline">{f.name}</a>
+                    </div>
+                  ))}
+                </td>
+                <td className="pr-2 text-xs text-gray-600 whitespace-nowrap">
+                  {r.rec ? (
+                    <>
+                      <div>{r.rec.by}</div>
+                      <div>{fmtStamp(r.rec.at)}</div>
+                    </>
+                  ) : (
+                    "—"
+                  )}
+                </td>
+                <td className="text-xs whitespace-nowrap">
+                  {r.noEvidence && <div className="text-red-700">no evidence</div>}
+                  {r.stale && <div className="text-amber-700" title={`Was ${r.rec.value} when last edited`}>changed since edit</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <div className="text-gray-500 py-2">Nothing flagged.</div>}
+      </div>
+    </div>
+  );
+};
+
+// ----- Executive report -----
+// The report is a React tree (recharts only draws in the browser) rendered off screen on export;
+// its DOM is serialized into a standalone HTML file, so styling is plain CSS scoped to
+// .bewe-report, not Tailwind
+const REPORT_WIDTH = 720;
+const REPORT_LEVERS = 8;
+const REPORT_CSS = `
+.bewe-report { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; background: #fff; max-width: ${REPORT_WIDTH + 40}px; margin: 0 auto; padding: 20px; font-size: 12px; line-height: 1.4; }
+.bewe-report h1 { font-size: 22px; margin: 0; }
+.bewe-report h2 { font-size: 15px; margin: 22px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #e5e7eb; }
+.bewe-report .sub { color: #6b7280; margin-top: 2px; }
+.bewe-report .headline { display: flex; gap: 20px; align-items: center; margin-top: 12px; }
+.bewe-report .gauge { width: 240px; flex: none; }
+.bewe-report .gauge svg { width: 100%; }
+.bewe-report .gauge svg > path, .bewe-report .gauge svg > line { stroke: #2563eb; }
+.bewe-report .gauge text { font-size: 20px; font-weight: 600; }
+.bewe-report .kpis { display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 8px; flex: 1; }
+.bewe-report .kpi { border: 1px solid #e5e7eb; border-radius: 8px; padding: 8px 10px; }
+.bewe-report .kpi .label { color: #6b7280; font-size: 11px; }
+.bewe-report .kpi .value { font-size: 18px; font-weight: 600; }
+.bewe-report .pos { color: #15803d; }
+.bewe-report .neg { color: #b91c1c; }
+.bewe-report table { width: 100%; border-collapse: collapse; }
+.bewe-report th, .bewe-report td { padding: 3px 6px; border-bottom: 1px solid #f3f4f6; text-align: right; }
+.bewe-report th { color: #6b7280; font-weight: 500; }
+.bewe-report th:first-child, .bewe-report td:first-child { text-align: left; }
+.bewe-report tr.group td { font-weight: 600; background: #f9fafb; }
+.bewe-report .block { break-inside: avoid; }
+.bewe-report .page { break-before: page; }
+.bewe-report .note { color: #6b7280; font-size: 11px; margin-top: 4px; }
+@media print { .bewe-report { padding: 0; } }
+`;
+
+const pctText = (p) => `${Math.round(p * 100)}%`;
+const signed = (v, unit = "") => `${v > 0 ? "+" : ""}${v}${unit}`;
+
+const reportHtml = (container, title) =>
+  `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title.replace(/[<&]/g, (c) => (c === "<" ? "&lt;" : "&amp;"))}</title>
+<style>${REPORT_CSS}@page { size: A4; margin: 12mm; }</style>
+</head>
+<body>
+${container.innerHTML}
+</body>
+</html>`;
+
+// Print through a blank window so only the report is on the page; "Save as PDF" gives the PDF.
+// The window is opened by the click itself (pop‑up blockers), then filled once the HTML is ready
+const printReport = (w, html) => {
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  w.print();
+};
+
+const ExecutiveReport = ({ market, subs, weights, you, competitors, focus, outlook, probability, you01, comp01, model, band, levers, history }) => {
+  const sides = [{ id: "you", name: "You", scores: you }, ...competitors];
+  const youPillars = pillarScores(you, subs);
+  const rivals = outlook.rows.map((r) => ({ ...r, pillars: pillarScores(competitors.find((c) => c.id === r.id).scores, subs) }));
+  const delta = Math.round((you01 - comp01) * 1000) / 10;
+  const theta = model.thetaMap.base + (model.thetaMap.slope * model.maturity) / 10;
+
+  return (
+    <div className="bewe-report">
+      <h1>Competitive displacement — {market}</h1>
+      <div className="sub">
+        Prepared {new Date().toLocaleString()} · {competitors.length} rival{competitors.length === 1 ? "" : "s"} · {Object.keys(subs).length} pillars
+      </div>
+
+      <div className="headline block">
+        <div className="gauge">
+          <Gauge value={probability} band={band} />
+        </div>
+        <div className="kpis">
+          <div className="kpi">
+            <div className="label">Probability to displace {focus.name}</div>
+            <div className="value">{pctText(probability)}</div>
+            {band && <div className="note">P10–P90 {pctText(band.p10)}–{pctText(band.p90)} (Monte Carlo)</div>}
+          </div>
+          <div className="kpi">
+            <div className="label">Advantage Δ (score)</div>
+            <div className={`value ${delta >= 0 ? "pos" : "neg"}`}>{signed(delta, "%")}</div>
+            <div className="note">Threshold θ to clear: {round1(theta * 100)}%</div>
+          </div>
+          {competitors.length > 1 && (
+            <>
+              <div className="kpi">
+                <div className="label">vs. market leader ({outlook.leader.name})</div>
+                <div className="value">{pctText(outlook.pLeader)}</div>
+              </div>
+              <div className="kpi">
+                <div className="label">Displace every rival</div>
+                <div className="value">{pctText(outlook.pAll)}</div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="block">
+        <h2>Model settings</h2>
+        <table>
+          <tbody>
+            <tr><td>Probability model</td><td>{MODEL_INFO[model.probability.kind].label}</td></tr>
+            <tr><td>Market maturity</td><td>{model.maturity} / 10</td></tr>
+            <tr><td>Steepness k</td><td>{model.k}</td></tr>
+            <tr><td>External shock</td><td>{signed(model.shock)}</td></tr>
+            <tr><td>Threshold θ</td><td>{model.thetaMap.base.toFixed(2)} + {model.thetaMap.slope.toFixed(2)}·maturity/10 = {theta.toFixed(3)}</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div className="block">
+        <h2>Head‑to‑head</h2>
+        <table>
+          <thead>
+            <tr><th>Rival</th><th>Score</th><th>Δ vs. you</th><th>P(displace)</th></tr>
+          </thead>
+          <tbody>
+            {outlook.rows.map((r) => (
+              <tr key={r.id}>
+                <td>{r.name}{r.id === focus.id && " (focus)"}</td>
+                <td>{round1(r.score01 * 100)}%</td>
+                <td className={you01 >= r.score01 ? "pos" : "neg"}>{signed(round1((you01 - r.score01) * 100), "%")}</td>
+                <td>{pctText(r.p)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="block">
+        <h2>Pillars</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Pillar</th>
+              <th>Weight</th>
+              {sides.map((s) => <th key={s.id}>{s.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(subs).map(([pk, def]) => (
+              <tr key={pk}>
+                <td>{def.label}</td>
+                <td>{pctText(weights[pk])}</td>
+                <td>{youPillars[pk]}</td>
+                {rivals.map((r) => <td key={r.id}>{r.pillars[pk]}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="block">
+        <h2>Pillar profile</h2>
+        <RadarCompare subs={subs} you={youPillars} rivals={rivals} width={REPORT_WIDTH} />
+        <h2>Gap by pillar (positive = you lead)</h2>
+        <GapBars subs={subs} you={youPillars} rivals={rivals} width={REPORT_WIDTH} />
+      </div>
+
+      <div className="page">
+        <h2>Sub‑criteria</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Sub‑criterion</th>
+              <th>Weight</th>
+              {sides.map((s) => <th key={s.id}>{s.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(subs).map(([pk, def]) => (
+              <React.Fragment key={pk}>
+                <tr className="group">
+                  <td colSpan={2 + sides.length}>{def.label}</td>
+                </tr>
+                {def.items.map((it) => (
+                  <tr key={it.key}>
+                    <td>{it.label}</td>
+                    <td>{pctText(it.w)}</td>
+                    {sides.map((s) => <td key={s.id}>{s.scores[pk][it.key]}</td>)}
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="block">
+        <h2>Top levers vs. {focus.name}</h2>
+        <table>
+          <thead>
+            <tr><th>Lever</th><th>Range</th><th>Down</th><th>Up</th></tr>
+          </thead>
+          <tbody>
+            {levers.map((l) => (
+              <tr key={l.id}>
+                <td>{l.label}</td>
+                <td>{round1(l.lo)}–{round1(l.hi)}</td>
+                <td className={l.low >= 0 ? "pos" : "neg"}>{signed(round1(l.low * 100), " pts")}</td>
+                <td className={l.high >= 0 ? "pos" : "neg"}>{signed(round1(l.high * 100), " pts")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="note">Change in probability when each lever moves ±10% of its scale from today's value, biggest swing first.</div>
+      </div>
+
+      <div className="block">
+        <h2>Snapshot history</h2>
+        {history.length === 0 ? (
+          <div className="note">No snapshots saved yet.</div>
+        ) : (
+          <>
+            <TrendLine history={history} width={REPORT_WIDTH} />
+            <table>
+              <thead>
+                <tr><th>Snapshot</th><th>Note</th><th>P(displace)</th></tr>
+              </thead>
+              <tbody>
+                {history.map((h) => (
+                  <tr key={h.id ?? h.t}>
+                    <td>{h.t}</td>
+                    <td style={{ textAlign: "left" }}>{h.note}</td>
+                    <td>{h.p}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Renders the report into a detached container and returns it as a standalone HTML page
+const renderReportHtml = async (props, title) => {
+  const container = document.createElement("div");
+  container.style.cssText = "position: fixed; left: -10000px; top: 0;";
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  try {
+    flushSync(() => root.render(<ExecutiveReport {...props} />));
+    // recharts fills in its axes and legends from effects; two frames let those renders land
+    await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    return reportHtml(container, title);
+  } finally {
+    root.unmount();
+    container.remove();
+  }
+};
+
+// `levers` computes the top sensitivity levers; it only runs for the preview and on export
+const ReportPanel = ({ report, levers }) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const previewLevers = useMemo(() => (open ? levers() : []), [open, levers]);
+  const btn = "px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50";
+  const title = `Bewe displacement report — ${report.market}`;
+  const html = () => renderReportHtml({ ...report, levers: levers() }, title);
+
+  const download = async () => {
+    try {
+      downloadFile(`bewe-report-${fileStamp()}.html`, await html(), "text/html");
+      setError(null);
+    } catch (e) {
+      setError(`Could not build the report: ${e.message}`);
+    }
+  };
+
+  const print = async () => {
+    const w = window.open("", "_blank");
+    if (!w) {
+      setError("The print window was blocked — allow pop‑ups for this page.");
+      return;
+    }
+    try {
+      printReport(w, await html());
+      setError(null);
+    } catch (e) {
+      w.close();
+      setError(`Could not build the report: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button className={btn} onClick={download}>
+          Download HTML
+        </button>
+        <button className={btn} onClick={print}>
+          Print / Save as PDF
+        </button>
+        <button className={btn} onClick={() => setOpen((v) => !v)}>
+          {open ? "Hide preview" : "Preview"}
+        </button>
+      </div>
+      {error && <div className="text-red-700">{error}</div>}
+      <div className="text-xs text-gray-500">
+        One self‑contained file with the headline probability, model settings, score tables for every side, charts, top levers and snapshot history.
+      </div>
+      {open && (
+        <div className="max-h-[600px] overflow-auto rounded-xl border">
+          <style>{REPORT_CSS}</style>
+          <ExecutiveReport {...report} levers={previewLevers} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ----- Share links -----
+const SHARE_VERSION = 1;
+const SHARE_PREFIX = "#s=";
+
+const toBase64Url = (text) => {
+  let bin = "";
+  for (const b of new TextEncoder().encode(text)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (s) => {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+};
+
+const round3 = (x) => Math.round(x * 1000) / 1000;
+
+const encodeShareState = ({ subs, weights, you, competitors, focusId, maturity, steepness, shock, thetaMap, probModel }) => {
+  const paths = Object.entries(subs).flatMap(([pk, def]) => def.items.map((it) => [pk, it.key]));
+  const flat = (scores) => paths.map(([pk, ik]) => scores[pk][ik]);
+  const payload = {
+    v: SHARE_VERSION,
+    ...(JSON.stringify(subs) === JSON.stringify(SUBS) ? {} : { f: subs }),
+    i: paths.map((p) => p.join(".")),
+    w: Object.fromEntries(Object.entries(weights).map(([k, v]) => [k, round3(v)])),
+    y: flat(you),
+    c: competitors.map((c) => [c.name, flat(c.scores)]),
+    fi: Math.max(0, competitors.findIndex((c) => c.id === focusId)),
+    m: [maturity, steepness, round3(shock), round3(thetaMap.base), round3(thetaMap.slope)],
+    ...(probModel.kind === "logistic" ? {} : { pm: probModel }),
+  };
+  return SHARE_PREFIX + toBase64Url(JSON.stringify(payload));
+};
+
+// Returns { state } or { error }; state is ready to hydrate the simulator
+const decodeShareState = (hash) => {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(hash.slice(SHARE_PREFIX.length)));
+  } catch (e) {
+    return { error: "The shared link is damaged and could not be read." };
+  }
+  if (!isObj(data) || !Number.isInteger(data.v)) return { error: "The shared link has no version and could not be read." };
+  if (data.v > SHARE_VERSION) return { error: `The shared link was made by a newer version (v${data.v}) of the simulator.` };
+
+  const subs = data.f ?? SUBS;
+  if (validateFramework(subs).length) return { error: "The shared link contains an invalid framework." };
+  const rivalsOk = Array.isArray(data.c) && data.c.length > 0 && data.c.every(Array.isArray);
+  if (!Array.isArray(data.i) || !Array.isArray(data.y) || !rivalsOk || !Array.isArray(data.m)) {
+    return { error: "The shared link is incomplete." };
+  }
+  const unflat = (values) => {
+    const scores = {};
+    data.i.forEach((path, n) => {
+      const [pk, ik] = String(path).split(".");
+      const v = values?.[n];
+      if (subs[pk] && isNum(v)) scores[pk] = { ...scores[pk], [ik]: Math.max(0, Math.min(10, v)) };
+    });
+    return fitScores(scores, subs);
+  };
+  const competitors = data.c.map(([name, values], n) => ({
+    id: uid(),
+    name: typeof name === "string" ? name : `Competitor ${n + 1}`,
+    scores: unflat(values),
+  }));
+  const [maturity, steepness, shock, thetaBase, thetaSlope] = data.m; // θ mapping added later in v1
+  return {
+    state: {
+      subs,
+      weights: fitWeights(isObj(data.w) ? Object.fromEntries(Object.entries(data.w).filter(([, v]) => isNum(v) && v >= 0)) : {}, subs),
+      you: unflat(data.y),
+      competitors,
+      focusId: (competitors[data.fi] ?? competitors[0]).id,
+      maturity: isNum(maturity) ? maturity : 6,
+      steepness: isNum(steepness) ? steepness : 8,
+      shock: isNum(shock) ? shock : 0,
+      thetaMap: isNum(thetaBase) && isNum(thetaSlope) ? { base: thetaBase, slope: thetaSlope } : DEFAULT_THETA_MAP,
+      probModel: validateModel(data.pm).length ? DEFAULT_MODEL : { ...DEFAULT_MODEL, ...data.pm },
+    },
+  };
+};
+
+// null when there is no share hash (or no browser)
+const readShareHash = () => {
+  if (typeof window === "undefined" || !window.location.hash.startsWith(SHARE_PREFIX)) return null;
+  return decodeShareState(window.location.hash);
+};
+
+// ----- Workspaces -----
+// Each workspace autosaves the full scenario (the scenario‑file shape) to IndexedDB. An optional
+// self‑hosted sync server (bewe_sync_server.mjs) shares workspaces with teammates; records and
+// their writes are handled by bewe_workspace_sync.mjs
+const WORKSPACE_DB = "bewe_sim";
+const WORKSPACE_STORE = "workspaces";
+const WORKSPACE_KEY = "bewe_sim_workspace"; // id of the last open workspace
+const SYNC_KEY = "bewe_sim_sync"; // { url, token, enabled }
+const DELETED_KEY = "bewe_sim_deleted"; // ids of shared workspaces deleted here, until the server has them
+const LEGACY_HISTORY_KEY = "bewe_sim_history"; // snapshots from before workspaces; seeds the first one
+const AUTOSAVE_MS = 800; // also coalesces slider drags into one undo step
+const UNDO_LIMIT = 50;
+const SYNC_POLL_MS = 15000;
+
+const idbRequest = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const openWorkspaceStore = async () => {
+  if (typeof indexedDB === "undefined") throw new Error("This browser has no IndexedDB, so workspaces cannot be saved.");
+  const open = indexedDB.open(WORKSPACE_DB, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(WORKSPACE_STORE, { keyPath: "id" });
+  const db = await idbRequest(open);
+  const run = (mode, fn) => idbRequest(fn(db.transaction(WORKSPACE_STORE, mode).objectStore(WORKSPACE_STORE)));
+  return {
+    list: () => run("readonly", (s) => s.getAll()),
+    get: (id) => run("readonly", (s) => s.get(id)),
+    put: (rec) => run("readwrite", (s) => s.put(rec)),
+    remove: (id) => run("readwrite", (s) => s.delete(id)),
+  };
+};
+
+const readLocal = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const writeLocal = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {}
+};
+
+const summarize = ({ id, name, updatedAt, rev, dirty }) => ({ id, name, updatedAt, rev, dirty });
+const byRecent = (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+
+// A fresh scenario on the default framework (every optional part included, so nothing carries
+// over from the workspace that was open before)
+const mkBlankScenario = () => {
+  const competitors = [mkCompetitor("Competitor 1", SUBS)];
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    subs: SUBS,
+    weights: DEFAULT_WEIGHTS,
+    you: mkDefaultScores(SUBS),
+    competitors,
+    focusId: competitors[0].id,
+    model: { maturity: 6, steepness: 8, shock: 0, thetaMap: DEFAULT_THETA_MAP, probability: DEFAULT_MODEL },
+    history: [],
+    costs: mkDefaultCosts(SUBS),
+    roadmap: mkDefaultRoadmap(),
+    spreads: { sides: {}, params: DEFAULT_PARAM_SPREADS },
+    evidence: {},
+    metricMaps: DEFAULT_METRIC_MAPS,
+    metrics: {},
+    team: mkTeam(SUBS),
+  };
+};
+
+// A share link's framework, sides and model over a blank scenario (how a link opens as a workspace)
+const linkScenario = (st) => ({
+  ...mkBlankScenario(),
+  subs: st.subs,
+  weights: st.weights,
+  you: st.you,
+  competitors: st.competitors,
+  focusId: st.focusId,
+  model: { maturity: st.maturity, steepness: st.steepness, shock: st.shock, thetaMap: st.thetaMap, probability: st.probModel },
+  costs: mkDefaultCosts(st.subs),
+  team: mkTeam(st.subs),
+});
+
+// Stored and remote scenarios go through the same validation as imported files
+const loadableScenario = (scenario) => parseScenarioJson(JSON.stringify(scenario));
+
+// The share link a scenario would produce (the URL tracks the open workspace this way)
+const scenarioShareHash = ({ model, ...sc }) => encodeShareState({ ...sc, ...model, probModel: model.probability });
+
+const WorkspacePanel = ({ workspaces, activeId, error, onOpen, onCreate, onDuplicate, onRename, onRemove, sync, setSync, syncStatus, onResolve, undo }) => {
+  const [url, setUrl] = useState(sync.url);
+  const [token, setToken] = useState(sync.token);
+  const active = workspaces.find((w) => w.id === activeId);
+  const btn = "px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 disabled:opacity-40";
+
+  return (
+    <div className="space-y-3 text-sm">
+      {error && <div className="rounded-lg bg-red-50 text-red-800 px-2 py-1">{error}</div>}
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={activeId ?? ""} onChange={(e) => onOpen(e.target.value)} disabled={!active} className="px-2 py-1 rounded-lg border bg-white">
+          {[...workspaces].sort(byRecent).map((w) => (
+            <option key={w.id} value={w.id}>{w.name}</option>
+          ))}
+        </select>
+        {active && (
+          <input value={active.name} onChange={(e) => onRename(e.target.value)} className="px-2 py-1 rounded-lg border bg-white w-44" title="Workspace name" />
+        )}
+        <button className={btn} onClick={onCreate} disabled={!active}>New</button>
+        <button className={btn} onClick={onDuplicate} disabled={!active}>Duplicate</button>
+        <button className={btn} onClick={() => onRemove(activeId)} disabled={!active}>Delete</button>
+        <span className="flex-1" />
+        <button className={btn} onClick={undo.undo} disabled={!undo.canUndo} title="Undo (Ctrl+Z)">↶ Undo</button>
+        <button className={btn} onClick={undo.redo} disabled={!undo.canRedo} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+      </div>
+      {active && (
+        <div className="text-xs text-gray-500">
+          Autosaved {fmtStamp(active.updatedAt)} in this browser
+          {sync.enabled && (active.dirty ? " · waiting to sync" : ` · synced (rev ${active.rev})`)}
+        </div>
+      )}
+
+      <details className="rounded-xl border bg-white/70 px-3 py-2" open={sync.enabled}>
+        <summary className="cursor-pointer font-medium">Team sync server</summary>
+        <div className="mt-2 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <input value={url} onChange={(e) => setUrl(e.target.value)} placeholder="http://localhost:8787" className="flex-1 min-w-0 px-2 py-1 rounded-lg border bg-white" />
+            <input value={token} onChange={(e) => setToken(e.target.value)} placeholder="Token (optional)" type="password" className="w-40 px-2 py-1 rounded-lg border bg-white" />
+            {sync.enabled ? (
+              <button className={btn} onClick={() => setSync({ ...sync, enabled: false })}>Disconnect</button>
+            ) : (
+              <button className={btn} onClick={() => setSync({ url: url.trim(), token: token.trim(), enabled: true })} disabled={!url.trim()}>
+                Connect
+              </button>
+            )}
+          </div>
+          <div className="text-xs text-gray-500">
+            Run <code>node bewe_sync_server.mjs</code> on a machine your team can reach; every workspace is shared with everyone connected to it.
+          </div>
+          {syncStatus.error && <div className="text-red-700">{syncStatus.error}</div>}
+          {sync.enabled && !syncStatus.error && syncStatus.at && <div className="text-xs text-green-700">Last synced {fmtStamp(syncStatus.at)}</div>}
+          {syncStatus.conflict && (
+            <div className="flex flex-wrap items-center gap-2 rounded-lg bg-amber-50 text-amber-900 px-2 py-1">
+              <span>
+                “{syncStatus.conflict.name}” was changed on the server (rev {syncStatus.conflict.rev}) while you were editing it.
+              </span>
+              <button className={btn} onClick={() => onResolve("theirs")}>Load theirs</button>
+              <button className={btn} onClick={() => onResolve("mine")}>Keep mine</button>
+            </div>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default function CompetitorDisplacementSimulator() {
+  // A share link (#s=…) in the URL hydrates the initial state
+  const [linked] = useState(readShareHash);
+  const init = linked?.state;
+  const [linkError, setLinkError] = useState(linked?.error ?? null);
+
+  const [subs, setSubs] = useState(init?.subs ?? SUBS);
+  const [weights, setWeights] = useState(init?.weights ?? DEFAULT_WEIGHTS);
+  const [you, setYou] = useState(() => init?.you ?? mkDefaultScores(SUBS));
+  const [competitors, setCompetitors] = useState(() => init?.competitors ?? [mkCompetitor("Competitor 1", SUBS)]);
+  const [focusId, setFocusId] = useState(() => init?.focusId ?? competitors[0].id);
+  const [chartScope, setChartScope] = useState("focus"); // "focus" | "all"
+
+  const [maturity, setMaturity] = useState(init?.maturity ?? 6); // 0–10, higher = harder to flip market
+  const [steepness, setSteepness] = useState(init?.steepness ?? 8); // k in logistic
+  const [shock, setShock] = useState(init?.shock ?? 0); // −0.2..+0.2 exogenous shock (regulation, macro, etc.)
+  const [thetaMap, setThetaMap] = useState(init?.thetaMap ?? DEFAULT_THETA_MAP); // maturity → θ, calibratable
+  const [probModel, setProbModel] = useState(init?.probModel ?? DEFAULT_MODEL); // logistic or an alternative
+
+  const focus = competitors.find((c) => c.id === focusId) ?? competitors[0];
+  const setFocusScores = (update) =>
+    setCompetitors((prev) =>
+      prev.map((c) =>
+        c.id === focus.id ? { ...c, scores: typeof update === "function" ? update(c.scores) : update } : c
+      )
+    );
+
+  const youPillars = useMemo(() => pillarScores(you, subs), [you, subs]);
+
+  const rivals = useMemo(
+    () =>
+      competitors.map((c) => ({
+        id: c.id,
+        name: c.name,
+        pillars: pillarScores(c.scores, subs),
+        score01: grandScore01(weights, c.scores, subs),
+      })),
+    [competitors, weights, subs]
+  );
+
+  const you01 = useMemo(() => grandScore01(weights, you, subs), [weights, you, subs]);
+
+  const outlook = useMemo(
+    () => marketOutlook({ you01, rivals, maturity, k: steepness, shock, thetaMap, model: probModel, you, subs }),
+    [you01, rivals, maturity, steepness, shock, thetaMap, probModel, you, subs]
+  );
+  const modelComparison = useMemo(
+    () => compareModels({ you01, rivals, maturity, k: steepness, shock, thetaMap, you, subs }, probModel),
+    [you01, rivals, maturity, steepness, shock, thetaMap, you, subs, probModel]
+  );
+  const breaches = useMemo(() => floorBreaches(you, subs, probModel), [you, subs, probModel]);
+
+  const focusRow = outlook.rows.find((r) => r.id === focus.id);
+  const comp01 = focusRow.score01;
+  const probability = focusRow.p;
+  const chartRivals = chartScope === "all" ? rivals : rivals.filter((r) => r.id === focus.id);
+
+  const sensInputs = useMemo(
+    () => ({ subs, weights, you, comp: focus.scores, maturity, k: steepness, shock, thetaMap, model: probModel }),
+    [subs, weights, you, focus.scores, maturity, steepness, shock, thetaMap, probModel]
+  );
+
+  // Evidence per score (same side keys as spreads); rival evidence is parked with its market
+  const [evidence, setEvidence] = useState({});
+
+  // Portfolio: the open market lives in the editors (competitors, focus, maturity, shock);
+  // the others are parked here until opened
+  const [markets, setMarkets] = useState(() => [mkMarket("Market 1", { competitors, focusId, maturity, shock })]);
+  const [marketId, setMarketId] = useState(() => markets[0].id);
+  const [portfolioMetric, setPortfolioMetric] = useState("leader");
+  const allMarkets = useMemo(
+    () => markets.map((m) => (m.id === marketId ? { ...m, competitors, focusId: focus.id, maturity, shock, evidence: rivalEvidence(evidence) } : m)),
+    [markets, marketId, competitors, focus.id, maturity, shock, evidence]
+  );
+  const activeMarket = allMarkets.find((m) => m.id === marketId);
+  const portfolio = useMemo(
+    () => evaluatePortfolio({ subs, weights, you, markets: allMarkets, k: steepness, thetaMap, model: probModel, metric: portfolioMetric }),
+    [subs, weights, you, allMarkets, steepness, thetaMap, probModel, portfolioMetric]
+  );
+
+  const loadMarket = (m) => {
+    setMarketId(m.id);
+    setCompetitors(m.competitors);
+    setFocusId(m.focusId);
+    setMaturity(m.maturity);
+    setShock(m.shock);
+    setEvidence(({ you: own }) => (own ? { ...m.evidence, you: own } : { ...m.evidence }));
+  };
+  const openMarket = (id) => {
+    if (id === marketId) return;
+    setMarkets(allMarkets);
+    loadMarket(allMarkets.find((m) => m.id === id));
+  };
+  // New markets start from the open market's competitor set (ids kept so plans still apply)
+  const addMarket = () => {
+    const m = mkMarket(`Market ${allMarkets.length + 1}`, { competitors, focusId: focus.id, size: activeMarket.size, evidence: {} });
+    setMarkets([...allMarkets, m]);
+    loadMarket(m);
+  };
+  const removeMarket = (id) => {
+    const rest = allMarkets.filter((m) => m.id !== id);
+    setMarkets(rest);
+    if (id === marketId) loadMarket(rest[0]);
+  };
+  const updateMarket = (id, patch) => {
+    if (id === marketId) {
+      if (patch.maturity !== undefined) setMaturity(patch.maturity);
+      if (patch.shock !== undefined) setShock(patch.shock);
+    }
+    setMarkets((prev) => prev.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+  };
+
+  const [costs, setCosts] = useState(() => mkDefaultCosts(init?.subs ?? SUBS));
+  const [roadmap, setRoadmap] = useState(mkDefaultRoadmap);
+
+  const projection = useMemo(
+    () =>
+      projectRoadmap({
+        subs,
+        weights,
+        you,
+        competitors,
+        focusId: focus.id,
+        maturity,
+        k: steepness,
+        shock,
+        thetaMap,
+        model: probModel,
+        roadmap,
+        labels: nextQuarters(roadmap.quarters),
+      }),
+    [subs, weights, you, competitors, focus.id, maturity, steepness, shock, thetaMap, probModel, roadmap]
+  );
+
+  // Switching framework re‑fits every piece of state keyed by pillar/sub‑criterion
+  const applyFramework = (nextSubs, nextWeights) => {
+    setSubs(nextSubs);
+    setWeights((w) => fitWeights(nextWeights ?? w, nextSubs));
+    setYou((y) => fitScores(y, nextSubs));
+    setCompetitors((cs) => cs.map((c) => ({ ...c, scores: fitScores(c.scores, nextSubs) })));
+    setMarkets((ms) =>
+      ms.map((m) => ({ ...m, competitors: m.competitors.map((c) => ({ ...c, scores: fitScores(c.scores, nextSubs) })) }))
+    );
+    setCosts((c) => fitCosts(c, nextSubs));
+    setRoadmap((r) => fitRoadmap(r, nextSubs));
+  };
+  const [editFramework, setEditFramework] = useState(false);
+
+  // Keep the URL hash in sync (debounced: browsers throttle replaceState during slider drags)
+  const shareHash = useMemo(
+    () => encodeShareState({ subs, weights, you, competitors, focusId: focus.id, maturity, steepness, shock, thetaMap, probModel }),
+    [subs, weights, you, competitors, focus.id, maturity, steepness, shock, thetaMap, probModel]
+  );
+
+  useEffect(() => {
+    const t = setTimeout(() => {
+      if (window.location.hash !== shareHash) window.history.replaceState(null, "", shareHash);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [shareHash]);
+
+  // Every evidence edit is stamped with the editor's name
+  const [editor, setEditor] = useState(() => {
+    try {
+      return localStorage.getItem(EDITOR_KEY) ?? "";
+    } catch (e) {
+      return "";
+    }
+  });
+  useEffect(() => {
+    try {
+      localStorage.setItem(EDITOR_KEY, editor);
+    } catch {}
+  }, [editor]);
+  const setSideEvidence = (side) => (pk, ik, patch, value) =>
+    setEvidence((prev) => ({
+      ...prev,
+      [side]: {
+        ...prev[side],
+        [pk]: {
+          ...prev[side]?.[pk],
+          [ik]: { ...prev[side]?.[pk]?.[ik], ...patch, by: (team.enabled ? activeAssessor.name : editor).trim() || "anonymous", at: new Date().toISOString(), value },
+        },
+      },
+    }));
+  // Raw metrics per side (same side keys as spreads) → scores through the configured mappings
+  const [metricMaps, setMetricMapsState] = useState(DEFAULT_METRIC_MAPS);
+  const [metrics, setMetrics] = useState({});
+  const [editMappings, setEditMappings] = useState(false);
+  const mappings = useMemo(() => activeMappings(metricMaps, subs), [metricMaps, subs]);
+  const setSideScores = (side, update) =>
+    side === "you" ? setYou(update) : setCompetitors((cs) => cs.map((c) => (c.id === side ? { ...c, scores: update(c.scores) } : c)));
+  const setSideMetric = (side) => (pk, ik, value) => {
+    const { [ik]: _, ...others } = metrics[side]?.[pk] ?? {};
+    const sideMetrics = { ...metrics[side], [pk]: value === undefined ? others : { ...others, [ik]: value } };
+    setMetrics({ ...metrics, [side]: sideMetrics });
+    if (value === undefined) return; // back to a manual score, which keeps its last value
+    setSideScores(side, (sc) => applyMetricMappings(sc, subs, mappings, sideMetrics));
+    setSideEvidence(side)(pk, ik, {}, round1(metricToScore(value, mappings[pk][ik])));
+  };
+  // A changed curve re‑derives every side that has a metric for it
+  const setMetricMaps = (next) => {
+    setMetricMapsState(next);
+    const active = activeMappings(next, subs);
+    setYou((sc) => applyMetricMappings(sc, subs, active, metrics.you));
+    setCompetitors((cs) => cs.map((c) => ({ ...c, scores: applyMetricMappings(c.scores, subs, active, metrics[c.id]) })));
+  };
+
+  // Team scoring: assessors' sparse grids → consensus written into the live scores
+  const [team, setTeamState] = useState(() => mkTeam(init?.subs ?? SUBS));
+  const teamConsensus = (t, side, current) =>
+    applyMetricMappings(consensusScores(teamGrids(t, side), subs, t.aggregation, current), subs, mappings, metrics[side]);
+  const setTeam = (next) => {
+    // Starting team scoring hands the current scores to the selected assessor
+    if (next.enabled && !team.enabled && Object.keys(next.grids).length === 0) {
+      next = { ...next, grids: { [next.activeId]: { you, ...Object.fromEntries(competitors.map((c) => [c.id, c.scores])) } } };
+    }
+    setTeamState(next);
+    if (!next.enabled) return;
+    setYou((sc) => teamConsensus(next, "you", sc));
+    setCompetitors((cs) => cs.map((c) => ({ ...c, scores: teamConsensus(next, c.id, c.scores) })));
+  };
+  const activeAssessor = team.assessors.find((a) => a.id === team.activeId);
+  // Slider edits land in the selected assessor's grid; only changed items count as scored
+  const setAssessedScores = (side, current) => (update) => {
+    const own = team.grids[team.activeId]?.[side] ?? {};
+    const view = overlayScores(current, own);
+    const next = update(view);
+    const changed = { ...own };
+    for (const [pk, def] of Object.entries(subs)) {
+      for (const it of def.items) {
+        if (next[pk][it.key] !== view[pk][it.key]) changed[pk] = { ...changed[pk], [it.key]: next[pk][it.key] };
+      }
+    }
+    setTeam({ ...team, grids: { ...team.grids, [team.activeId]: { ...team.grids[team.activeId], [side]: changed } } });
+  };
+  const teamViews = useMemo(
+    () =>
+      team.enabled
+        ? team.assessors.map((a) => ({
+            id: a.id,
+            name: a.name,
+            p: evalProbability({
+              ...sensInputs,
+              you: applyMetricMappings(overlayScores(you, team.grids[a.id]?.you), subs, mappings, metrics.you),
+              comp: applyMetricMappings(overlayScores(focus.scores, team.grids[a.id]?.[focus.id]), subs, mappings, metrics[focus.id]),
+            }),
+          }))
+        : [],
+    [team, sensInputs, you, focus, subs, mappings, metrics]
+  );
+  const editorSides = [
+    { side: "you", scores: you },
+    { side: focus.id, scores: focus.scores },
+  ];
+  const [youEditor, focusEditor] = editorSides.map(({ side, scores }) =>
+    team.enabled
+      ? { scores: overlayScores(scores, team.grids[team.activeId]?.[side]), setScores: setAssessedScores(side, scores), assessed: team.grids[team.activeId]?.[side] ?? {}, consensus: scores }
+      : { scores, setScores: side === "you" ? setYou : setFocusScores }
+  );
+
+  const auditSides = useMemo(() => [{ id: "you", name: "You", scores: you }, ...competitors], [you, competitors]);
+
+  // Uncertainty (Monte Carlo)
+  const [mcSettings, setMcSettings] = useState({ enabled: false, dist: "triangular", runs: 5000, seed: 42 });
+  const [spreads, setSpreads] = useState({ sides: {}, params: DEFAULT_PARAM_SPREADS });
+  const setSideSpreads = (side) => (update) =>
+    setSpreads((prev) => ({
+      ...prev,
+      sides: { ...prev.sides, [side]: typeof update === "function" ? update(prev.sides[side]) : update },
+    }));
+
+  const mcResult = useMemo(
+    () =>
+      mcSettings.enabled
+        ? runMonteCarlo({
+            subs,
+            weights,
+            you,
+            competitors,
+            focusId: focus.id,
+            maturity,
+            k: steepness,
+            shock,
+            thetaMap,
+            model: probModel,
+            spreads,
+            dist: mcSettings.dist,
+            runs: mcSettings.runs,
+            seed: mcSettings.seed,
+          })
+        : null,
+    [mcSettings, subs, weights, you, competitors, focus.id, maturity, steepness, shock, thetaMap, probModel, spreads]
+  );
+
+  // History (snapshots) — saved with the workspace; snapshots from before workspaces seed the first one
+  const [history, setHistory] = useState(() => {
+    const legacy = readLocal(LEGACY_HISTORY_KEY, []);
+    return Array.isArray(legacy) ? legacy : [];
+  });
+
+  const [snapshotNote, setSnapshotNote] = useState("");
+
+  const addSnapshot = () => {
+    const now = new Date();
+    const label = now.toLocaleString();
+    const pct = Math.round(probability * 100);
+    const inputs = { subs, weights, you, competitors, focusId: focus.id, maturity, steepness, shock, thetaMap, probModel };
+    setHistory((h) => [...h.slice(-99), { id: uid(), t: label, p: pct, note: snapshotNote.trim(), inputs }]);
+    setSnapshotNote("");
+  };
+
+  const importScenario = (sc) => {
+    applyFramework(sc.subs, sc.weights);
+    setYou(sc.you);
+    setCompetitors(sc.competitors);
+    setFocusId(sc.focusId);
+    setMaturity(sc.model.maturity);
+    setSteepness(sc.model.steepness);
+    setShock(sc.model.shock);
+    setThetaMap(sc.model.thetaMap);
+    setProbModel(sc.model.probability);
+    setHistory(sc.history);
+    if (sc.costs) setCosts(sc.costs);
+    if (sc.roadmap) setRoadmap(fitRoadmap(sc.roadmap, sc.subs));
+    if (sc.spreads) setSpreads(sc.spreads);
+    setEvidence(sc.evidence ?? {});
+    // Scores in the file already reflect its metrics, so they are not re‑derived here
+    setMetricMapsState(sc.metricMaps ?? DEFAULT_METRIC_MAPS);
+    setMetrics(sc.metrics ?? {});
+    setTeamState(sc.team ?? mkTeam(sc.subs));
+    // The file's top‑level competitors & model are its open market
+    const live = { competitors: sc.competitors, focusId: sc.focusId, maturity: sc.model.maturity, shock: sc.model.shock };
+    if (sc.portfolio) {
+      setMarkets(sc.portfolio.markets.map((m) => (m.id === sc.portfolio.activeId ? { ...m, ...live } : m)));
+      setMarketId(sc.portfolio.activeId);
+    } else {
+      const m = mkMarket("Market 1", live);
+      setMarkets([m]);
+      setMarketId(m.id);
+    }
+  };
+
+  const importGrid = (grid) => {
+    setYou(grid.you);
+    setCompetitors(grid.competitors);
+  };
+
+  const restoreSnapshot = ({ inputs }) => {
+    applyFramework(snapshotSubs(inputs), inputs.weights);
+    setYou(inputs.you);
+    setCompetitors(inputs.competitors);
+    setFocusId(inputs.focusId);
+    setMaturity(inputs.maturity);
+    setSteepness(inputs.steepness);
+    setShock(inputs.shock);
+    setThetaMap(inputs.thetaMap ?? DEFAULT_THETA_MAP);
+    setProbModel(inputs.probModel ?? DEFAULT_MODEL);
+  };
+
+  const clearHistory = () => setHistory([]);
+
+  // Goal seek returns a full head‑to‑head input set in which only the solved lever moved
+  const applyHeadToHead = (next) => {
+    setYou(next.you);
+    setFocusScores(next.comp);
+    setWeights(next.weights);
+    setMaturity(next.maturity);
+    setSteepness(next.k);
+    setShock(next.shock);
+  };
+
+  // Roadmap continues from "Now" so both lines meet at the current probability
+  const trendProjection = [
+    { t: "Now", proj: Math.round(probability * 100) },
+    ...projection.map((r) => ({ t: r.t, proj: Math.round(r.p * 100) })),
+  ];
+
+  // Everything a workspace or scenario file holds; a new object whenever any part changes
+  const scenarioState = useMemo(
+    () => ({
+      subs,
+      weights,
+      you,
+      competitors,
+      focusId: focus.id,
+      model: { maturity, steepness, shock, thetaMap, probability: probModel },
+      history,
+      costs,
+      roadmap,
+      spreads,
+      portfolio: { activeId: marketId, markets: allMarkets },
+      evidence,
+      metricMaps,
+      metrics,
+      team,
+    }),
+    [subs, weights, you, competitors, focus.id, maturity, steepness, shock, thetaMap, probModel, history, costs, roadmap, spreads, marketId, allMarkets, evidence, metricMaps, metrics, team]
+  );
+  const buildScenario = () => ({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, exportedAt: new Date().toISOString(), ...scenarioState });
+
+  // Workspaces: IndexedDB autosave, undo/redo and the optional team sync server
+  const storeRef = useRef(null);
+  const recordsRef = useRef(null); // createWorkspaceRecords over storeRef's store
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(null);
+  const workspaceIdRef = useRef(null);
+  workspaceIdRef.current = workspaceId;
+  const [workspaceError, setWorkspaceError] = useState(null);
+  const [workspacesReady, setWorkspacesReady] = useState(false);
+  const activeWorkspace = workspaces.find((w) => w.id === workspaceId);
+  // replaced: how the state was last swapped wholesale — "load" (another workspace: fresh undo
+  // history, nothing to save), "pull" (a teammate's revision: an undo step, already stored) or
+  // "undo" (saved, but not a new undo step)
+  const editsRef = useRef({ past: [], future: [], last: null, replaced: null });
+  const [undoDepth, setUndoDepth] = useState({ past: 0, future: 0 });
+  const [sync, setSyncState] = useState(() => ({ url: "", token: "", enabled: false, ...readLocal(SYNC_KEY, {}) }));
+  const [syncStatus, setSyncStatus] = useState({});
+  // Read by saves, pushes and sync rounds that outlive the render which scheduled them
+  const conflictRef = useRef(null);
+  const scenarioRef = useRef(null);
+  scenarioRef.current = scenarioState;
+  const setConflict = (conflict) => {
+    conflictRef.current = conflict;
+    setSyncStatus((s) => ({ ...s, conflict }));
+  };
+  const setSync = (next) => {
+    setSyncState(next);
+    writeLocal(SYNC_KEY, next);
+    conflictRef.current = null;
+    setSyncStatus({});
+  };
+
+  const showRecord = (rec) => setWorkspaces((ws) => [...ws.filter((w) => w.id !== rec.id), summarize(rec)]);
+  const putRecord = async (rec) => showRecord(await recordsRef.current.put(rec));
+
+  const loadRecord = (rec, how = "load") => {
+    const { scenario, errors } = loadableScenario(rec.scenario);
+    if (errors) {
+      setWorkspaceError(`Workspace “${rec.name}” could not be loaded: ${errors[0]}`);
+      return false;
+    }
+    editsRef.current.replaced = how;
+    importScenario(scenario);
+    setWorkspaceId(rec.id);
+    writeLocal(WORKSPACE_KEY, rec.id);
+    setConflict(null);
+    return true;
+  };
+
+  const addRecord = async (name, scenario) => {
+    const rec = { id: uid(), name, updatedAt: new Date().toISOString(), scenario, rev: 0, dirty: true };
+    await putRecord(rec);
+    return rec;
+  };
+
+  const pushRecord = async (id, baseRev) => {
+    const res = await recordsRef.current.push(id, sync, baseRev);
+    if (res.conflict && id === workspaceIdRef.current) setConflict(res.conflict);
+    if (res.deleted) await forgetWorkspace(id);
+    if (res.rec) showRecord(res.rec);
+  };
+
+  // After the open workspace is gone: the most recent other one, or a blank one
+  const openNextWorkspace = async (goneId) => {
+    const rest = (await storeRef.current.list()).filter((w) => w.id !== goneId);
+    const next = [...rest].sort(byRecent)[0];
+    if (!(next && loadRecord(next))) loadRecord(await addRecord(`Workspace ${rest.length + 1}`, mkBlankScenario()));
+  };
+
+  // Deleted on the server: the local copy goes, unless it has unpushed edits — those stay as a new workspace
+  const forgetWorkspace = async (id) => {
+    const res = await recordsRef.current.forget(id, uid());
+    setWorkspaces((ws) => ws.filter((w) => w.id !== id));
+    if (res.rec) showRecord(res.rec);
+    if (id !== workspaceIdRef.current) return;
+    if (res.rec) {
+      setWorkspaceId(res.rec.id);
+      writeLocal(WORKSPACE_KEY, res.rec.id);
+    } else if (res.removed) await openNextWorkspace(id);
+  };
+
+  // Deletions of shared workspaces wait in localStorage until the server has them
+  const sendDeletions = async () => {
+    for (const id of readLocal(DELETED_KEY, [])) {
+      await syncRequest(sync, `/workspaces/${id}`, { method: "DELETE" });
+      writeLocal(DELETED_KEY, readLocal(DELETED_KEY, []).filter((d) => d !== id));
+    }
+  };
+
+  // Edits to the open workspace that the autosave has not stored yet
+  const hasUnsavedEdits = () => {
+    const u = editsRef.current;
+    return u.replaced !== "load" && u.replaced !== "pull" && u.last !== scenarioRef.current;
+  };
+
+  // rev and dirty come from the stored copy: a push may have finished since this render
+  const saveWorkspace = async () => {
+    if (!recordsRef.current || !activeWorkspace) return;
+    try {
+      const rec = await recordsRef.current.save(activeWorkspace.id, { name: activeWorkspace.name, scenario: buildScenario() });
+      if (!rec) return;
+      showRecord(rec);
+      if (sync.enabled && !conflictRef.current) await pushRecord(rec.id);
+    } catch (e) {
+      if (sync.enabled) setSyncStatus((s) => ({ ...s, error: e.message }));
+      else setWorkspaceError(`Autosave failed: ${e.message}`);
+    }
+  };
+
+  // Open the last workspace, or make the current state (legacy snapshots, share link) the first one
+  useEffect(() => {
+    (async () => {
+      try {
+        storeRef.current = await openWorkspaceStore();
+        recordsRef.current = createWorkspaceRecords(storeRef.current);
+        const all = await storeRef.current.list();
+        setWorkspaces(all.map(summarize));
+        const last = all.find((w) => w.id === readLocal(WORKSPACE_KEY, null)) ?? [...all].sort(byRecent)[0];
+        // The URL keeps the open workspace's share hash, so only a different link opens as its own workspace
+        const stored = last && loadableScenario(last.scenario);
+        const ownHash = stored && !stored.errors && window.location.hash === scenarioShareHash(stored.scenario);
+        if (last && (!linked?.state || ownHash) && loadRecord(last)) return;
+        const rec = await addRecord(linked?.state ? "Shared link" : `Workspace ${all.length + 1}`, buildScenario());
+        setWorkspaceId(rec.id);
+        writeLocal(WORKSPACE_KEY, rec.id);
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+      } catch (e) {
+        setWorkspaceError(e.message);
+      } finally {
+        setWorkspacesReady(true);
+      }
+    })();
+  }, []);
+
+  // Autosave (debounced) and record undo steps; rapid edits such as slider drags become one step
+  useEffect(() => {
+    if (!workspacesReady) return;
+    const t = setTimeout(() => {
+      const u = editsRef.current;
+      const how = u.replaced;
+      u.replaced = null;
+      if (how === "load") {
+        u.past = [];
+        u.future = [];
+      } else if (how !== "undo" && u.last && u.last !== scenarioState) {
+        u.past = [...u.past, u.last].slice(-UNDO_LIMIT);
+        u.future = [];
+      }
+      u.last = scenarioState;
+      setUndoDepth({ past: u.past.length, future: u.future.length });
+      if (!how || how === "undo") saveWorkspace();
+    }, AUTOSAVE_MS);
+    return () => clearTimeout(t);
+  }, [scenarioState, workspacesReady, activeWorkspace?.name]);
+
+  const stepEdits = (from, to) => {
+    const u = editsRef.current;
+    // An edit still inside the autosave delay counts as a step of its own
+    if (!u.replaced && u.last && u.last !== scenarioState) {
+      u.past = [...u.past, u.last].slice(-UNDO_LIMIT);
+      u.future = [];
+      u.last = scenarioState;
+    }
+    if (!u[from].length) return;
+    u[to] = [...u[to], u.last];
+    u.last = u[from][u[from].length - 1];
+    u[from] = u[from].slice(0, -1);
+    u.replaced = "undo";
+    importScenario(u.last);
+    setUndoDepth({ past: u.past.length, future: u.future.length });
+  };
+  const undo = () => stepEdits("past", "future");
+  const redo = () => stepEdits("future", "past");
+
+  // Ctrl/⌘+Z and Ctrl/⌘+Shift+Z, except where text fields keep their own undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target.matches?.("textarea, input:not([type=range]):not([type=radio]):not([type=checkbox])")) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // Switching saves pending edits of the workspace being left first
+  const leaveWorkspace = async () => {
+    if (hasUnsavedEdits()) await saveWorkspace();
+  };
+  const openWorkspace = async (id) => {
+    try {
+      await leaveWorkspace();
+      const rec = await storeRef.current.get(id);
+      if (rec) loadRecord(rec);
+      else {
+        setWorkspaces((ws) => ws.filter((w) => w.id !== id));
+        setWorkspaceError("That workspace is no longer stored in this browser.");
+      }
+    } catch (e) {
+      setWorkspaceError(`Could not open the workspace: ${e.message}`);
+    }
+  };
+  const createWorkspace = async () => {
+    try {
+      await leaveWorkspace();
+      loadRecord(await addRecord(`Workspace ${workspaces.length + 1}`, mkBlankScenario()));
+    } catch (e) {
+      setWorkspaceError(`Could not create a workspace: ${e.message}`);
+    }
+  };
+  const duplicateWorkspace = async () => {
+    try {
+      await leaveWorkspace();
+      const rec = await addRecord(`${activeWorkspace.name} (copy)`, buildScenario());
+      setWorkspaceId(rec.id);
+      writeLocal(WORKSPACE_KEY, rec.id);
+    } catch (e) {
+      setWorkspaceError(`Could not duplicate the workspace: ${e.message}`);
+    }
+  };
+  const renameWorkspace = (name) => setWorkspaces((ws) => ws.map((w) => (w.id === workspaceId ? { ...w, name } : w)));
+  const removeWorkspace = async (id) => {
+    try {
+      const rec = await storeRef.current.get(id);
+      const shared = rec?.rev > 0;
+      if (shared && !window.confirm(`“${rec.name}” is on the sync server. Delete it for everyone?`)) return;
+      await recordsRef.current.remove(id);
+      setWorkspaces((ws) => ws.filter((w) => w.id !== id));
+      if (shared) {
+        writeLocal(DELETED_KEY, [...readLocal(DELETED_KEY, []), id]);
+        if (sync.enabled) await sendDeletions().catch((e) => setSyncStatus((s) => ({ ...s, error: e.message })));
+      }
+      if (id === workspaceId) await openNextWorkspace(id);
+    } catch (e) {
+      setWorkspaceError(`Could not delete the workspace: ${e.message}`);
+    }
+  };
+
+  // A link pasted into this tab opens as a workspace of its own, as it does when the page loads
+  useEffect(() => {
+    const onHash = async () => {
+      const res = readShareHash();
+      if (!res || window.location.hash === shareHash) return;
+      if (res.error) return setLinkError(res.error);
+      setLinkError(null);
+      // Without IndexedDB there are no workspaces; the link replaces what is on screen
+      if (!recordsRef.current) return importScenario(linkScenario(res.state));
+      try {
+        await leaveWorkspace();
+        loadRecord(await addRecord("Shared link", linkScenario(res.state)));
+      } catch (e) {
+        setWorkspaceError(`Could not open the link: ${e.message}`);
+      }
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  });
+
+  // Pull what teammates changed, push local edits; a workspace edited on both sides is a conflict
+  const syncNow = async () => {
+    try {
+      await sendDeletions();
+      const { data } = await syncRequest(sync, "/workspaces");
+      const local = await storeRef.current.list();
+      for (const remote of data.workspaces) {
+        const mine = local.find((w) => w.id === remote.id);
+        const active = remote.id === workspaceIdRef.current;
+        // Edits still waiting for the autosave count as local edits
+        const unsaved = active && hasUnsavedEdits();
+        if (remote.deleted) {
+          if (mine && !unsaved) await forgetWorkspace(remote.id);
+          continue;
+        }
+        if (mine && remote.rev <= mine.rev) continue;
+        if (unsaved) {
+          setConflict(remote);
+          continue;
+        }
+        const res = await syncRequest(sync, `/workspaces/${remote.id}`);
+        if (res.gone) {
+          await forgetWorkspace(remote.id);
+          continue;
+        }
+        // Edited here too (now or since the list was read): the user picks which copy wins
+        const pulled = await recordsRef.current.pull(res.data);
+        if (pulled.kept) {
+          if (active) setConflict(remote);
+          continue;
+        }
+        showRecord(pulled.rec);
+        if (active) loadRecord(pulled.rec, "pull");
+      }
+      for (const mine of local.filter((w) => w.dirty)) {
+        const behind = data.workspaces.some((r) => r.id === mine.id && r.rev > mine.rev);
+        if (!behind) await pushRecord(mine.id);
+      }
+      setSyncStatus((s) => ({ ...s, error: null, at: new Date().toISOString() }));
+    } catch (e) {
+      setSyncStatus((s) => ({ ...s, error: e.message }));
+    }
+  };
+
+  useEffect(() => {
+    if (!sync.enabled || !workspacesReady || !storeRef.current) return;
+    syncNow();
+    const t = setInterval(syncNow, SYNC_POLL_MS);
+    return () => clearInterval(t);
+  }, [sync, workspacesReady]);
+
+  const resolveConflict = async (keep) => {
+    const remote = conflictRef.current;
+    setConflict(null);
+    try {
+      if (keep === "theirs") {
+        const res = await syncRequest(sync, `/workspaces/${remote.id}`);
+        if (res.gone) await forgetWorkspace(remote.id);
+        else {
+          await putRecord({ ...res.data, dirty: false });
+          loadRecord(res.data, "pull");
+        }
+      } else {
+        await pushRecord(remote.id, remote.rev);
+      }
+    } catch (e) {
+      setSyncStatus((s) => ({ ...s, error: e.message }));
+    }
+  };
+
+  const reportLevers = useCallback(
+    () => tornado(sensInputs, buildLevers(subs, focus.name), 0.1).slice(0, REPORT_LEVERS),
+    [sensInputs, subs, focus.name]
+  );
+
+  // Derived UI
+  const deltaPct = Math.round((you01 - comp01) * 1000) / 10; // in %-points of score
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-b from-gray-50 to-gray-100 text-gray-900">
+      <div className="max-w-7xl mx-auto p-4 sm:p-6 md:p-8 space-y-6">
+        <header className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold">Bewe — Competitor Displacement Simulator</h1>
+            <p className="text-gray-600 text-sm sm:text-base mt-1">Model your position vs. one or more rivals across {Object.keys(subs).length} pillars. Tune weights, market maturity, and more. Save snapshots to track strategy impact over time.</p>
+          </div>
+          <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="bg-white rounded-2xl shadow border p-4 w-full sm:w-[320px]">
+              <div className="text-xs text-gray-500">Probability to Displace — {focus.name}</div>
+              <Gauge value={probability} band={mcResult} />
+              {mcResult && (
+                <div className="text-xs text-center text-amber-700 -mt-1 mb-1">
+                  P10–P90: {Math.round(mcResult.p10 * 100)}–{Math.round(mcResult.p90 * 100)}% · P50 {Math.round(mcResult.p50 * 100)}%
+                </div>
+              )}
+              <div className="flex items-center justify-between text-sm">
+                <div>Advantage Δ (score):</div>
+                <div className={`font-semibold ${you01 >= comp01 ? "text-green-700" : "text-red-700"}`}>
+                  {deltaPct >= 0 ? "+" : ""}{deltaPct}%
+                </div>
+              </div>
+              {probModel.kind !== "logistic" && (
+                <div className="flex items-center justify-between text-sm text-gray-600">
+                  <div>Model:</div>
+                  <div className="font-medium">{MODEL_INFO[probModel.kind].label}</div>
+                </div>
+              )}
+              {competitors.length > 1 && (
+                <div className="flex items-center justify-between text-sm text-gray-600">
+                  <div>Leader ({outlook.leader.name}) · All:</div>
+                  <div className="font-medium">
+                    {Math.round(outlook.pLeader * 100)}% · {Math.round(outlook.pAll * 100)}%
+                  </div>
+                </div>
+              )}
+            </div>
+          </motion.div>
+        </header>
+
+        {linkError && (
+          <div className="flex items-center justify-between rounded-xl border border-red-200 bg-red-50 text-red-800 text-sm px-3 py-2">
+            <span>{linkError} Showing the default scenario instead.</span>
+            <button onClick={() => setLinkError(null)} className="px-2 py-0.5 rounded-lg border bg-white">✕</button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          <div className="xl:col-span-2 space-y-6">
+            <Section
+              title={`Market Dynamics & Model Settings — ${activeMarket.name}`}
+              right={
+                <div className="flex gap-2">
+                  <input
+                    value={snapshotNote}
+                    onChange={(e) => setSnapshotNote(e.target.value)}
+                    placeholder="Snapshot note (optional)"
+                    className="px-2 py-1.5 rounded-xl border bg-white text-sm w-44"
+                  />
+                  <button onClick={addSnapshot} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">Save Snapshot</button>
+                  <button onClick={clearHistory} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">Clear</button>
+                </div>
+              }
+            >
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <Slider label={`Market maturity (harder flip) — ${maturity}`} value={maturity} onChange={setMaturity} />
+                  <Slider label={`Model steepness (k) — ${steepness}`} value={steepness} onChange={setSteepness} {...K_CONTROL} />
+                  <Slider label={`External shock (−0.2…+0.2) — ${shock}`} value={shock} onChange={setShock} {...SHOCK_CONTROL} />
+                  <div className="text-xs text-gray-500">
+                    Shock lets you simulate regulation/macros or a PR blow (+ helps you, − helps rival). It shifts both scores before conversion.
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Threshold θ = {thetaMap.base.toFixed(2)} + {thetaMap.slope.toFixed(2)}·maturity/10
+                    {(thetaMap.base !== DEFAULT_THETA_MAP.base || thetaMap.slope !== DEFAULT_THETA_MAP.slope) && " (calibrated)"}
+                    {steepness > 10 && ` · k = ${steepness} is beyond the slider range`}
+                  </div>
+                </div>
+                <div>
+                  <WeightsEditor subs={subs} weights={weights} setWeights={setWeights} />
+                </div>
+              </div>
+            </Section>
+
+            <Section title={`Probability Model — ${MODEL_INFO[probModel.kind].label}`}>
+              <ModelPanel subs={subs} model={probModel} setModel={setProbModel} comparison={modelComparison} focusId={focus.id} breaches={breaches} />
+            </Section>
+
+            <Section
+              title="Framework (Pillars & Sub‑criteria)"
+              right={
+                <button onClick={() => setEditFramework((v) => !v)} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">
+                  {editFramework ? "Done" : "Edit"}
+                </button>
+              }
+            >
+              {editFramework ? (
+                <FrameworkEditor subs={subs} weights={weights} onChange={applyFramework} />
+              ) : (
+                <div className="text-sm text-gray-600">
+                  {Object.values(subs).map((d) => `${d.label} (${d.items.length})`).join(" · ")}
+                </div>
+              )}
+            </Section>
+
+            <Section
+              title="Metric Mappings (Raw Metrics → Scores)"
+              right={
+                <button onClick={() => setEditMappings((v) => !v)} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-gray-50 text-sm">
+                  {editMappings ? "Done" : "Edit"}
+                </button>
+              }
+            >
+              {editMappings ? (
+                <MappingsPanel subs={subs} metricMaps={metricMaps} setMetricMaps={setMetricMaps} />
+              ) : (
+                <div className="text-sm text-gray-600">
+                  {Object.entries(mappings)
+                    .flatMap(([pk, items]) => Object.entries(items).map(([ik, m]) => `${m.metric} → ${subs[pk].items.find((it) => it.key === ik).label}`))
+                    .join(" · ") || "No mappings — every score is set by hand."}
+                </div>
+              )}
+            </Section>
+
+            <Section title="Executive Report (Board Pack)">
+              <ReportPanel
+                report={{
+                  market: activeMarket.name,
+                  subs,
+                  weights,
+                  you,
+                  competitors,
+                  focus,
+                  outlook,
+                  probability,
+                  you01,
+                  comp01,
+                  model: { maturity, k: steepness, shock, thetaMap, probability: probModel },
+                  band: mcResult,
+                  history,
+                }}
+                levers={reportLevers}
+              />
+            </Section>
+
+            <Section title={activeWorkspace ? `Workspace — ${activeWorkspace.name}` : "Workspace"}>
+              <WorkspacePanel
+                workspaces={workspaces}
+                activeId={workspaceId}
+                error={workspaceError}
+                onOpen={openWorkspace}
+                onCreate={createWorkspace}
+                onDuplicate={duplicateWorkspace}
+                onRename={renameWorkspace}
+                onRemove={removeWorkspace}
+                sync={sync}
+                setSync={setSync}
+                syncStatus={syncStatus}
+                onResolve={resolveConflict}
+                undo={{ undo, redo, canUndo: undoDepth.past > 0, canRedo: undoDepth.future > 0 }}
+              />
+            </Section>
+
+            <Section title="Scenario Files (Import / Export)">
+              <ScenarioFiles
+                subs={subs}
+                shareHash={shareHash}
+                buildScenario={buildScenario}
+                onImportScenario={importScenario}
+                you={you}
+                competitors={competitors}
+                onImportGrid={importGrid}
+              />
+            </Section>
+
+            <Section title="Assessors (Consensus Scoring)">
+              <TeamPanel
+                subs={subs}
+                team={team}
+                setTeam={setTeam}
+                sides={auditSides}
+                views={teamViews}
+                consensusP={probability}
+                rivalName={focus.name}
+              />
+            </Section>
+
+            <Section title={team.enabled ? `Your Inputs (Bewe) — scoring as ${activeAssessor.name}` : "Your Inputs (Bewe)"}>
+              <PillarEditor
+                subs={subs}
+                who="You"
+                {...youEditor}
+                spreads={spreads.sides.you}
+                setSpreads={mcSettings.enabled ? setSideSpreads("you") : undefined}
+                evidence={evidence.you}
+                onEvidence={setSideEvidence("you")}
+                mappings={mappings}
+                metrics={metrics.you}
+                onMetric={setSideMetric("you")}
+              />
+            </Section>
+
+            <Section title="Market Portfolio (Where to attack next?)">
+              <PortfolioPanel
+                portfolio={portfolio}
+                activeId={marketId}
+                metric={portfolioMetric}
+                setMetric={setPortfolioMetric}
+                onOpen={openMarket}
+                onAdd={addMarket}
+                onRemove={removeMarket}
+                onUpdate={updateMarket}
+              />
+            </Section>
+
+            <Section title={`Competitors — ${activeMarket.name} (select one to edit)`}>
+              <CompetitorList
+                subs={subs}
+                competitors={competitors}
+                setCompetitors={setCompetitors}
+                outlook={outlook}
+                focusId={focus.id}
+                setFocusId={setFocusId}
+              />
+            </Section>
+
+            <Section title={`Competitor Inputs — ${focus.name}`}>
+              <PillarEditor
+                subs={subs}
+                who={focus.name}
+                {...focusEditor}
+                spreads={spreads.sides[focus.id]}
+                setSpreads={mcSettings.enabled ? setSideSpreads(focus.id) : undefined}
+                evidence={evidence[focus.id]}
+                onEvidence={setSideEvidence(focus.id)}
+                mappings={mappings}
+                metrics={metrics[focus.id]}
+                onMetric={setSideMetric(focus.id)}
+              />
+            </Section>
+
+            <Section title="Score Audit (Evidence & Provenance)">
+              <AuditPanel subs={subs} sides={auditSides} evidence={evidence} editor={editor} setEditor={setEditor} />
+            </Section>
+
+            <Section title="Investment Optimizer (Where to spend?)">
+              <OptimizerPanel inputs={sensInputs} costs={costs} setCosts={setCosts} onApply={setYou} />
+            </Section>
+
+            <Section title={`Goal Seek (What does it take vs. ${focus.name}?)`}>
+              <GoalSeekPanel inputs={sensInputs} rivalName={focus.name} onApply={applyHeadToHead} />
+            </Section>
+
+            <Section title="Model Calibration (Past Win/Loss Outcomes)">
+              <CalibrationPanel
+                k={steepness}
+                thetaMap={thetaMap}
+                onApply={(k, tm) => {
+                  setSteepness(round1(k));
+                  setThetaMap(tm);
+                }}
+              />
+            </Section>
+
+            <Section title="Strategy Roadmap (Quarterly Projection)">
+              <RoadmapPanel subs={subs} roadmap={roadmap} setRoadmap={setRoadmap} competitors={competitors} projection={projection} />
+            </Section>
+          </div>
+
+          <div className="xl:col-span-1 space-y-6">
+            <Section
+              title="Score Shapes (Radar)"
+              right={
+                competitors.length > 1 && (
+                  <select
+                    value={chartScope}
+                    onChange={(e) => setChartScope(e.target.value)}
+                    className="px-2 py-1 rounded-lg border bg-white text-sm"
+                  >
+                    <option value="focus">{focus.name}</option>
+                    <option value="all">All rivals</option>
+                  </select>
+                )
+              }
+            >
+              <RadarCompare subs={subs} you={youPillars} rivals={chartRivals} />
+            </Section>
+
+            <Section title="Pillar Gaps (You − Competitor)">
+              <GapBars subs={subs} you={youPillars} rivals={chartRivals} />
+            </Section>
+
+            <Section title="Uncertainty (Monte Carlo)">
+              <MonteCarloPanel
+                subs={subs}
+                settings={mcSettings}
+                setSettings={setMcSettings}
+                spreads={spreads}
+                setSpreads={setSpreads}
+                sideKeys={["you", ...competitors.map((c) => c.id)]}
+                result={mcResult}
+              />
+            </Section>
+
+            <Section title="Sensitivity (Which levers move the needle?)">
+              <SensitivityPanel inputs={sensInputs} rivalName={focus.name} />
+            </Section>
+
+            <Section title="Probability Trend (Snapshots & Projection)">
+              {history.length === 0 && (
+                <div className="text-sm text-gray-600 mb-2">No snapshots yet. Click <span className="font-medium">Save Snapshot</span> after a change to start a history.</div>
+              )}
+              <TrendLine history={history} projection={trendProjection} />
+            </Section>
+
+            <Section title="Snapshots (Restore & Diff)">
+              <SnapshotPanel history={history} setHistory={setHistory} onRestore={restoreSnapshot} />
             </Section>
           </div>
         </div>
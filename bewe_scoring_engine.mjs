@@ -0,0 +1,617 @@
+/**
+ * Bewe Scoring Engine
+ * -------------------------------------------------------------
+ * The framework‑free core of the displacement simulator: sub‑criteria → pillar scores →
+ * weighted grand score → probability to displace. No React, no DOM; safe to import from
+ * Node scripts, report jobs and the UI alike.
+ *
+ * Shapes
+ * - Framework ("subs"): { [pillar]: { label, short, items: [{ key, label, w }] } }
+ * - Weights:  { [pillar]: number } (should sum to 1; see validateWeights)
+ * - Scores:   { [pillar]: { [item]: number 0–10 } }
+ * - Model:    { maturity 0–10, k > 0, shock, thetaMap: { base, slope } }
+ * - Probability model: { kind: logistic | floors | bradleyTerry | probit, ...params }
+ *
+ * Validation
+ * - validate*() return a list of messages (empty = valid) for reporting bad input files
+ * - The scoring functions throw ScoringInputError instead of treating a missing score,
+ *   weight or parameter as 0
+ *
+ * Headless use
+ *   import { evaluateMarket } from "./bewe_scoring_engine.mjs";
+ *   const { you01, rows, pLeader, pAll } = evaluateMarket({ you, competitors, maturity: 6, k: 8 });
+ * - modelProbability scores a head‑to‑head under the logistic or an alternative model
+ *   (pillar floors, Bradley–Terry, probit); evaluateMarket / marketOutlook take it as `model`
+ * - metricToScore / applyMetricMappings turn raw business metrics (uptime %, churn, …) into
+ *   0–10 scores through a linear, thresholds or benchmark‑percentile curve
+ * - consensusScores / scoreDisagreement combine several assessors' (sparse) grids by mean,
+ *   median or role‑weighted mean and rank where they disagree
+ * - csvCell / parseCsv are the CSV helpers shared by the UI's grid import and the batch CLI
+ * - readScenarioJson / validateScenario and readScoreGrid read scenario files and score grid CSVs
+ *   for both the UI's import and the batch CLI (SCENARIO_FORMAT / SCENARIO_VERSION mark the file)
+ */
+
+// ----- Utility -----
+export const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const isObj = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+
+// Thrown by the scoring functions; `errors` lists every problem found
+export class ScoringInputError extends Error {
+  constructor(errors) {
+    const list = [].concat(errors);
+    super(list.length === 1 ? list[0] : `${list.length} invalid inputs: ${list.join("; ")}`);
+    this.name = "ScoringInputError";
+    this.errors = list;
+  }
+}
+
+const requireNum = (value, name) => {
+  if (!isNum(value)) throw new ScoringInputError(`${name} must be a finite number (got ${JSON.stringify(value)})`);
+  return value;
+};
+
+// ----- Defaults -----
+// Default pillar weights (sum = 1)
+export const DEFAULT_WEIGHTS = {
+  product: 0.30,
+  ops: 0.30, // Operations & Customer Service combined
+  sales: 0.18,
+  pioneering: 0.12,
+  marketing: 0.10,
+};
+
+// Default framework: sub‑criteria with internal weights based on common SaaS/service research
+export const SUBS = {
+  product: {
+    label: "Product",
+    short: "Product",
+    items: [
+      { key: "pmf", label: "Product–Market Fit", w: 0.30 },
+      { key: "reliability", label: "Reliability/Uptime", w: 0.20 },
+      { key: "ux", label: "UX & Usability", w: 0.20 },
+      { key: "featureParity", label: "Core Feature Parity/Edge", w: 0.20 },
+      { key: "dataSecurity", label: "Data & Security/Compliance", w: 0.10 },
+    ],
+  },
+  ops: {
+    label: "Operations & Customer Service",
+    short: "Ops/CS",
+    items: [
+      { key: "onboarding", label: "Onboarding Speed/Clarity", w: 0.25 },
+      { key: "supportSLA", label: "Support SLA & Resolution", w: 0.25 },
+      { key: "retention", label: "Retention/Churn Control", w: 0.25 },
+      { key: "quality", label: "Ops Quality/Field Execution", w: 0.25 },
+    ],
+  },
+  sales: {
+    label: "Sales",
+    short: "Sales",
+    items: [
+      { key: "coverage", label: "Territory Coverage/Activity", w: 0.30 },
+      { key: "conversion", label: "Conversion & Win Rate", w: 0.30 },
+      { key: "expansion", label: "Expansion/ARPA Growth", w: 0.20 },
+      { key: "unitEconomics", label: "CAC Payback/Unit Econ.", w: 0.20 },
+    ],
+  },
+  pioneering: {
+    label: "Pioneering",
+    short: "Pioneering",
+    items: [
+      { key: "firstMover", label: "First‑Mover/Timing Edge", w: 0.30 },
+      { key: "networkEffects", label: "Network Effects/Lock‑in", w: 0.40 },
+      { key: "brandAuthority", label: "Category Authority/PR", w: 0.30 },
+    ],
+  },
+  marketing: {
+    label: "Marketing",
+    short: "Marketing",
+    items: [
+      { key: "reach", label: "Reach/Share of Voice", w: 0.30 },
+      { key: "targeting", label: "Targeting/Creative Fit", w: 0.30 },
+      { key: "costEfficiency", label: "Cost Efficiency (CAC)", w: 0.25 },
+      { key: "community", label: "Community/Influencer Leverage", w: 0.15 },
+    ],
+  },
+};
+
+// Sensible defaults (middle-ish) so you can start adjusting quickly
+export const DEFAULT_SCORES = {
+  product: { pmf: 6, reliability: 6, ux: 6, featureParity: 6, dataSecurity: 6 },
+  ops: { onboarding: 6, supportSLA: 6, retention: 6, quality: 6 },
+  sales: { coverage: 5, conversion: 5, expansion: 5, unitEconomics: 5 },
+  pioneering: { firstMover: 5, networkEffects: 5, brandAuthority: 5 },
+  marketing: { reach: 5, targeting: 5, costEfficiency: 5, community: 5 },
+};
+export const FALLBACK_SCORE = 5; // for pillars/items not in DEFAULT_SCORES
+
+export const mkDefaultScores = (subs = SUBS) =>
+  Object.fromEntries(
+    Object.entries(subs).map(([pk, def]) => [
+      pk,
+      Object.fromEntries(def.items.map((it) => [it.key, DEFAULT_SCORES[pk]?.[it.key] ?? FALLBACK_SCORE])),
+    ])
+  );
+
+// θ = base + slope · maturity/10; the defaults can be replaced by a calibrated fit
+export const DEFAULT_THETA_MAP = { base: 0.10, slope: 0.20 };
+
+// ----- Validation -----
+// Structural problems only; internal weights that don't sum to 1 are a warning in the editor
+export const validateFramework = (subs) => {
+  if (!isObj(subs) || Object.keys(subs).length === 0) return ["must be an object with at least one pillar"];
+  const errors = [];
+  for (const [pk, def] of Object.entries(subs)) {
+    if (!isObj(def) || typeof def.label !== "string" || !def.label.trim()) errors.push(`${pk}.label must be a non‑empty string`);
+    if (!Array.isArray(def?.items) || def.items.length === 0) {
+      errors.push(`${pk}.items must be a non‑empty array`);
+      continue;
+    }
+    const keys = new Set();
+    def.items.forEach((it, i) => {
+      if (!isObj(it) || typeof it.key !== "string" || !it.key) errors.push(`${pk}.items[${i}].key must be a non‑empty string`);
+      else if (keys.has(it.key)) errors.push(`${pk}.items[${i}].key "${it.key}" is duplicated`);
+      else keys.add(it.key);
+      if (typeof it?.label !== "string") errors.push(`${pk}.items[${i}].label must be a string`);
+      if (!isNum(it?.w) || it.w < 0) errors.push(`${pk}.items[${i}].w must be a non‑negative number`);
+    });
+  }
+  return errors;
+};
+
+// One non‑negative weight per pillar, not all 0 (they are not required to sum to 1 here)
+export const validateWeights = (weights, subs = SUBS) => {
+  if (!isObj(weights) || Object.keys(subs).some((pk) => !isNum(weights[pk]) || weights[pk] < 0)) {
+    return [`weights must have a non‑negative number for each pillar (${Object.keys(subs).join(", ")})`];
+  }
+  if (Object.keys(subs).reduce((a, pk) => a + weights[pk], 0) <= 0) return ["weights must not all be 0"];
+  return [];
+};
+
+// One message per missing/out‑of‑range sub‑criterion
+export const validateScores = (scores, subs = SUBS, where = "scores") => {
+  if (!isObj(scores)) return [`${where} must be an object keyed by pillar`];
+  const errors = [];
+  for (const [pk, def] of Object.entries(subs)) {
+    for (const it of def.items) {
+      const v = scores[pk]?.[it.key];
+      if (!isNum(v) || v < 0 || v > 10) errors.push(`${where}.${pk}.${it.key} must be a number 0–10 (got ${JSON.stringify(v)})`);
+    }
+  }
+  return errors;
+};
+
+// Rescale valid weights (see validateWeights) so they sum to 1
+export const normalizeWeights = (weights, subs = SUBS) => {
+  const sum = Object.keys(subs).reduce((a, pk) => a + weights[pk], 0);
+  return Object.fromEntries(Object.keys(subs).map((pk) => [pk, weights[pk] / sum]));
+};
+
+// ----- Scoring -----
+// Weighted pillar score from sub‑criteria (0–10)
+export const pillarScore = (pillarKey, valuesObj, subs = SUBS) => {
+  const def = subs[pillarKey];
+  if (!def) throw new ScoringInputError(`Unknown pillar "${pillarKey}"`);
+  let sum = 0;
+  for (const item of def.items) {
+    sum += requireNum(valuesObj?.[item.key], `Score ${pillarKey}.${item.key}`) * item.w;
+  }
+  return sum; // already on 0–10 scale because subs are 0–10
+};
+
+// Grand score (0–10) normalized to 0–1
+export const grandScore01 = (weights, scores, subs = SUBS) => {
+  let total = 0;
+  for (const pk of Object.keys(subs)) total += requireNum(weights?.[pk], `Weight ${pk}`) * pillarScore(pk, scores?.[pk], subs);
+  return clamp01(total / 10); // normalize
+};
+
+// Map market maturity (0–10) to displacement threshold θ in score units (0–1).
+// Early markets (0–3) have a lower threshold; mature markets (7–10) a higher one.
+export const maturityToTheta = (maturity, thetaMap = DEFAULT_THETA_MAP) => {
+  const x = requireNum(maturity, "maturity") / 10; // 0–1
+  // θ ranges ~0.10 → 0.30 with the default mapping
+  return requireNum(thetaMap?.base, "thetaMap.base") + requireNum(thetaMap?.slope, "thetaMap.slope") * x;
+};
+
+// Logistic (sigmoid)
+export const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+// P = σ(k·(Δ − θ)) with Δ = you − rival + shock, both scores on 0–1
+export const probabilityToDisplace = ({ you01, comp01, maturity = 6, k = 8, shock = 0, thetaMap }) => {
+  const delta = requireNum(you01, "you01") - requireNum(comp01, "comp01") + requireNum(shock, "shock"); // positive means you're stronger
+  const theta = maturityToTheta(maturity, thetaMap); // how much edge you need to flip the market
+  const z = requireNum(k, "k") * (delta - theta);
+  return clamp01(logistic(z));
+};
+
+// ----- Probability models -----
+// probabilityToDisplace is the default ("logistic"); the alternatives read the same head‑to‑head
+// inputs so they can be switched and compared. Model: { kind, ...params }
+// - logistic:     P = σ(k·(Δ − θ))
+// - floors:       non‑compensatory: the logistic P × Π (1 − penalty·shortfall) over every pillar
+//                 (floors) or sub‑criterion (itemFloors) where your score is below its floor;
+//                 penalty 1 turns a full point of shortfall into a veto
+// - bradleyTerry: strength ratio P = y^β / (y^β + c^β), y = you + shock, c = rival + θ
+//                 (the incumbent's switching cost counts as rival strength)
+// - probit:       Thurstone–Mosteller P = Φ(k·(Δ − θ)/1.702): the logistic's normal twin, same
+//                 midpoint and slope, thinner tails
+export const PROBABILITY_MODELS = ["logistic", "floors", "bradleyTerry", "probit"];
+export const DEFAULT_MODEL = { kind: "logistic", floors: {}, itemFloors: { product: { dataSecurity: 4 } }, penalty: 0.5, beta: 5 };
+const PROBIT_SCALE = 1.702; // Φ(x) ≈ σ(1.702·x)
+
+const isScore = (v) => isNum(v) && v >= 0 && v <= 10;
+
+export const validateModel = (m, where = "model") => {
+  if (!isObj(m)) return [`${where} must be an object`];
+  if (!PROBABILITY_MODELS.includes(m.kind)) return [`${where}.kind must be one of ${PROBABILITY_MODELS.join(", ")}`];
+  const errors = [];
+  if (m.kind === "floors") {
+    if (!isObj(m.floors) || !Object.values(m.floors).every(isScore)) errors.push(`${where}.floors must map pillars to numbers 0–10`);
+    if (!isObj(m.itemFloors) || !Object.values(m.itemFloors).every((items) => isObj(items) && Object.values(items).every(isScore))) {
+      errors.push(`${where}.itemFloors must map pillars to { item: number 0–10 }`);
+    }
+    if (!isNum(m.penalty) || m.penalty < 0) errors.push(`${where}.penalty must be a number ≥ 0`);
+  }
+  if (m.kind === "bradleyTerry" && !(isNum(m.beta) && m.beta > 0)) errors.push(`${where}.beta must be a number > 0`);
+  return errors;
+};
+
+// Standard normal CDF via erf (Abramowitz & Stegun 7.1.26, |error| < 1.5e‑7)
+export const normalCdf = (x) => {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z);
+  return 0.5 * (1 + Math.sign(x) * erf);
+};
+
+// Pillars / sub‑criteria of `you` below the floors model's minimums (unknown keys are ignored)
+export const floorBreaches = (you, subs, model) => {
+  const breaches = [];
+  for (const [pk, floor] of Object.entries(model.floors ?? {})) {
+    if (!subs[pk]) continue;
+    const score = pillarScore(pk, you?.[pk], subs);
+    if (score < floor) breaches.push({ pillar: pk, score, floor, shortfall: floor - score });
+  }
+  for (const [pk, items] of Object.entries(model.itemFloors ?? {})) {
+    for (const [ik, floor] of Object.entries(items)) {
+      if (!subs[pk]?.items.some((it) => it.key === ik)) continue;
+      const score = requireNum(you?.[pk]?.[ik], `Score ${pk}.${ik}`);
+      if (score < floor) breaches.push({ pillar: pk, item: ik, score, floor, shortfall: floor - score });
+    }
+  }
+  return breaches;
+};
+
+// One head‑to‑head under any model; `you` (raw scores) and `subs` are only read by "floors"
+export const modelProbability = ({ you01, comp01, maturity = 6, k = 8, shock = 0, thetaMap, you, subs = SUBS }, model = DEFAULT_MODEL) => {
+  const errors = validateModel(model);
+  if (errors.length) throw new ScoringInputError(errors);
+  if (model.kind === "logistic") return probabilityToDisplace({ you01, comp01, maturity, k, shock, thetaMap });
+  if (model.kind === "floors") {
+    const factor = floorBreaches(you, subs, model).reduce((f, b) => f * Math.max(0, 1 - model.penalty * b.shortfall), 1);
+    return probabilityToDisplace({ you01, comp01, maturity, k, shock, thetaMap }) * factor;
+  }
+  const theta = maturityToTheta(maturity, thetaMap);
+  const y = requireNum(you01, "you01") + requireNum(shock, "shock");
+  const c = requireNum(comp01, "comp01");
+  if (model.kind === "probit") return clamp01(normalCdf((requireNum(k, "k") * (y - c - theta)) / PROBIT_SCALE));
+  const yb = Math.max(0, y) ** model.beta;
+  const cb = Math.max(0, c + theta) ** model.beta;
+  return yb + cb > 0 ? yb / (yb + cb) : 0.5;
+};
+
+// Head‑to‑head probability against every rival ({ score01, ... }), plus the combined market view:
+// leader = highest‑scoring rival, pAll = Π p (head‑to‑heads treated as independent).
+// model defaults to the logistic; pass `you` and `subs` as well for the floors model
+export const marketOutlook = ({ you01, rivals, maturity, k, shock, thetaMap, model, you, subs }) => {
+  const rows = rivals.map((r) => ({
+    ...r,
+    p: modelProbability({ you01, comp01: r.score01, maturity, k, shock, thetaMap, you, subs }, model),
+  }));
+  const leader = rows.reduce((best, r) => (!best || r.score01 > best.score01 ? r : best), null);
+  const pAll = rows.reduce((acc, r) => acc * r.p, rows.length ? 1 : 0);
+  return { rows, leader, pLeader: leader ? leader.p : 0, pAll };
+};
+
+// One call from raw inputs to the market view; validates everything up front and throws a
+// ScoringInputError listing every problem. competitors: [{ name, scores, ...anything }]
+export const evaluateMarket = ({
+  subs = SUBS,
+  weights = DEFAULT_WEIGHTS,
+  you,
+  competitors,
+  maturity = 6,
+  k = 8,
+  shock = 0,
+  thetaMap = DEFAULT_THETA_MAP,
+  model = DEFAULT_MODEL,
+}) => {
+  const frameworkErrors = validateFramework(subs).map((e) => `subs: ${e}`);
+  if (frameworkErrors.length) throw new ScoringInputError(frameworkErrors);
+  const errors = [...validateWeights(weights, subs), ...validateScores(you, subs, "you")];
+  if (!Array.isArray(competitors) || competitors.length === 0) errors.push("competitors must be a non‑empty array");
+  else competitors.forEach((c, i) => errors.push(...validateScores(c?.scores, subs, `competitors[${i}].scores`)));
+  for (const [name, v] of [["maturity", maturity], ["k", k], ["shock", shock], ["thetaMap.base", thetaMap?.base], ["thetaMap.slope", thetaMap?.slope]]) {
+    if (!isNum(v)) errors.push(`${name} must be a finite number`);
+  }
+  errors.push(...validateModel(model));
+  if (errors.length) throw new ScoringInputError(errors);
+
+  const you01 = grandScore01(weights, you, subs);
+  const rivals = competitors.map((c) => ({ ...c, score01: grandScore01(weights, c.scores, subs) }));
+  return { you01, ...marketOutlook({ you01, rivals, maturity, k, shock, thetaMap, model, you, subs }) };
+};
+
+// ----- Metric mappings -----
+// Raw business metric → 0–10 score. Mapping: { metric, unit, curve, ... } with
+// - linear:     { lo, hi }                value lo → 0, hi → 10, clamped (lo > hi = lower is better)
+// - thresholds: { direction, steps }      steps [{ at, score }]: best step the value reaches, else 0
+// - percentile: { direction, benchmark }  10 × share of benchmark values the value beats (ties count ½)
+export const MAPPING_CURVES = ["linear", "thresholds", "percentile"];
+const DIRECTIONS = ["higher", "lower"]; // which way the metric is better
+
+export const validateMapping = (m, where = "mapping") => {
+  if (!isObj(m)) return [`${where} must be an object`];
+  const errors = [];
+  if (typeof m.metric !== "string" || !m.metric.trim()) errors.push(`${where}.metric must be a non‑empty string`);
+  if (m.curve === "linear") {
+    if (!isNum(m.lo) || !isNum(m.hi) || m.lo === m.hi) errors.push(`${where} needs numeric lo ≠ hi`);
+  } else if (m.curve === "thresholds" || m.curve === "percentile") {
+    if (!DIRECTIONS.includes(m.direction)) errors.push(`${where}.direction must be "higher" or "lower"`);
+    if (m.curve === "thresholds" && (!Array.isArray(m.steps) || !m.steps.length || !m.steps.every((st) => isNum(st?.at) && isNum(st?.score) && st.score >= 0 && st.score <= 10))) {
+      errors.push(`${where}.steps must be a non‑empty list of { at, score 0–10 }`);
+    }
+    if (m.curve === "percentile" && (!Array.isArray(m.benchmark) || !m.benchmark.length || !m.benchmark.every(isNum))) {
+      errors.push(`${where}.benchmark must be a non‑empty list of numbers`);
+    }
+  } else errors.push(`${where}.curve must be one of ${MAPPING_CURVES.join(", ")}`);
+  return errors;
+};
+
+export const metricToScore = (value, m) => {
+  requireNum(value, `${m?.metric ?? "Metric"} value`);
+  const errors = validateMapping(m);
+  if (errors.length) throw new ScoringInputError(errors);
+  if (m.curve === "linear") return 10 * clamp01((value - m.lo) / (m.hi - m.lo));
+  const better = (a, b) => (m.direction === "higher" ? a > b : a < b);
+  if (m.curve === "thresholds") {
+    const reached = m.steps.filter((st) => value === st.at || better(value, st.at));
+    return reached.reduce((best, st) => Math.max(best, st.score), 0);
+  }
+  const beaten = m.benchmark.filter((b) => better(value, b)).length;
+  const ties = m.benchmark.filter((b) => b === value).length;
+  return (10 * (beaten + ties / 2)) / m.benchmark.length;
+};
+
+// Scores with every mapped sub‑criterion that has a metric value replaced by its derived score
+// (rounded to 0.1). mappings and metrics are keyed { [pillar]: { [item]: ... } }
+export const applyMetricMappings = (scores, subs, mappings, metrics) =>
+  Object.fromEntries(
+    Object.entries(scores).map(([pk, items]) => [
+      pk,
+      Object.fromEntries(
+        Object.entries(items).map(([ik, v]) => {
+          const m = mappings?.[pk]?.[ik];
+          const raw = metrics?.[pk]?.[ik];
+          const known = subs[pk]?.items.some((it) => it.key === ik);
+          return [ik, known && m && isNum(raw) ? Math.round(metricToScore(raw, m) * 10) / 10 : v];
+        })
+      ),
+    ])
+  );
+
+// ----- Multiple assessors -----
+// Each assessor's grid is sparse (only the sub‑criteria they scored) and carries optional
+// per‑pillar weights (their role's expertise); items nobody scored keep the fallback value
+export const AGGREGATIONS = ["mean", "median", "weighted"];
+
+// entries: [{ value, weight }] → one value (weights only matter for "weighted")
+export const aggregateValues = (entries, method = "mean") => {
+  if (!entries.length) throw new ScoringInputError("Nothing to aggregate");
+  if (method === "median") {
+    const xs = entries.map((e) => e.value).sort((a, b) => a - b);
+    const mid = Math.floor(xs.length / 2);
+    return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+  }
+  if (method === "weighted") {
+    const total = entries.reduce((a, e) => a + e.weight, 0);
+    if (total > 0) return entries.reduce((a, e) => a + e.value * e.weight, 0) / total;
+  } else if (method !== "mean") throw new ScoringInputError(`Unknown aggregation "${method}" (use ${AGGREGATIONS.join(", ")})`);
+  return entries.reduce((a, e) => a + e.value, 0) / entries.length;
+};
+
+const gridEntries = (grids, pk, ik) =>
+  grids
+    .filter((g) => isNum(g.scores?.[pk]?.[ik]))
+    .map((g) => ({ value: g.scores[pk][ik], weight: isNum(g.weights?.[pk]) ? g.weights[pk] : 1 }));
+
+// grids: [{ scores, weights? }] → full scores (rounded to 0.1)
+export const consensusScores = (grids, subs, method, fallback) =>
+  Object.fromEntries(
+    Object.entries(subs).map(([pk, def]) => [
+      pk,
+      Object.fromEntries(
+        def.items.map((it) => {
+          const entries = gridEntries(grids, pk, it.key);
+          return [it.key, entries.length ? Math.round(aggregateValues(entries, method) * 10) / 10 : fallback?.[pk]?.[it.key]];
+        })
+      ),
+    ])
+  );
+
+// Per sub‑criterion scored by 2+ assessors: range and standard deviation, widest first
+export const scoreDisagreement = (grids, subs) =>
+  Object.entries(subs)
+    .flatMap(([pk, def]) =>
+      def.items.map((it) => {
+        const values = gridEntries(grids, pk, it.key).map((e) => e.value);
+        const mean = values.reduce((a, v) => a + v, 0) / (values.length || 1);
+        const sd = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length || 1));
+        return { pillar: pk, item: it.key, n: values.length, min: Math.min(...values), max: Math.max(...values), range: Math.max(...values) - Math.min(...values), sd };
+      })
+    )
+    .filter((d) => d.n >= 2)
+    .sort((a, b) => b.range - a.range || b.sd - a.sd);
+
+// ----- CSV -----
+export const csvCell = (v) => (/[",\n\r]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+// ----- Scenario files & score grids -----
+// Read the same way by the UI's import and the batch CLI
+export const SCENARIO_FORMAT = "bewe-scenario";
+export const SCENARIO_VERSION = 1;
+export const GRID_FIXED = ["pillar", "item", "label", "w"]; // score grid columns that are not sides
+
+export const validateScenario = (data) => {
+  if (!isObj(data) || data.format !== SCENARIO_FORMAT) return [`Not a scenario file (expected "format": "${SCENARIO_FORMAT}")`];
+  if (!Number.isInteger(data.version) || data.version < 1) return ['Missing or invalid "version"'];
+  if (data.version > SCENARIO_VERSION) return [`File is version ${data.version}; this simulator reads up to version ${SCENARIO_VERSION}`];
+
+  // Files without a framework predate the editor and use the default one
+  const subs = data.subs === undefined ? SUBS : data.subs;
+  const frameworkErrors = validateFramework(subs).map((e) => `subs: ${e}`);
+  if (frameworkErrors.length) return frameworkErrors;
+
+  const errors = [...validateWeights(data.weights, subs), ...validateScores(data.you, subs, "you")];
+  if (!Array.isArray(data.competitors) || data.competitors.length === 0) {
+    errors.push("competitors must be a non‑empty array");
+  } else {
+    data.competitors.forEach((c, i) => {
+      if (!isObj(c) || typeof c.name !== "string") errors.push(`competitors[${i}].name must be a string`);
+      errors.push(...validateScores(c?.scores, subs, `competitors[${i}].scores`));
+    });
+  }
+  for (const key of ["maturity", "steepness", "shock"]) {
+    if (!isNum(data.model?.[key])) errors.push(`model.${key} must be a number`);
+  }
+  if (data.model?.thetaMap !== undefined && !(isNum(data.model.thetaMap?.base) && isNum(data.model.thetaMap?.slope))) {
+    errors.push("model.thetaMap must have numeric base and slope");
+  }
+  // Missing means logistic (files from before the model choice); a partial one fills in the defaults
+  const probability = data.model?.probability;
+  if (probability !== undefined) {
+    errors.push(...(isObj(probability) ? validateModel({ ...DEFAULT_MODEL, ...probability }, "model.probability") : ["model.probability must be an object"]));
+  }
+  if (data.portfolio !== undefined) {
+    const pf = data.portfolio;
+    if (!isObj(pf) || !Array.isArray(pf.markets) || pf.markets.length === 0) errors.push("portfolio.markets must be a non‑empty array");
+    else {
+      pf.markets.forEach((m, i) => {
+        const where = `portfolio.markets[${i}]`;
+        if (!isObj(m) || typeof m.id !== "string" || typeof m.name !== "string") {
+          errors.push(`${where} must have a string "id" and "name"`);
+          return;
+        }
+        if (!isNum(m.size) || m.size < 0) errors.push(`${where}.size must be a non‑negative number`);
+        if (!isNum(m.maturity) || !isNum(m.shock)) errors.push(`${where} must have numeric maturity and shock`);
+        if (!Array.isArray(m.competitors) || m.competitors.length === 0) errors.push(`${where}.competitors must be a non‑empty array`);
+        else m.competitors.forEach((c, j) => {
+          if (!isObj(c) || typeof c.id !== "string" || typeof c.name !== "string") errors.push(`${where}.competitors[${j}] must have a string "id" and "name"`);
+          errors.push(...validateScores(c?.scores, subs, `${where}.competitors[${j}].scores`));
+        });
+      });
+      if (!pf.markets.some((m) => m?.id === pf.activeId)) errors.push("portfolio.activeId must be the id of one of its markets");
+    }
+  }
+  if (data.history !== undefined) {
+    if (!Array.isArray(data.history)) errors.push("history must be an array");
+    else data.history.forEach((h, i) => {
+      if (!isObj(h) || typeof h.t !== "string" || !isNum(h.p)) errors.push(`history[${i}] must have a string "t" and a number "p"`);
+    });
+  }
+  return errors;
+};
+
+// Returns { scenario, data } or { errors }. scenario holds the validated core (framework,
+// normalized weights, sides, model, history, portfolio); optional app state stays in data
+export const readScenarioJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { errors: [`Not valid JSON: ${e.message}`] };
+  }
+  const errors = validateScenario(data);
+  if (errors.length) return { errors };
+  const subs = data.subs ?? SUBS;
+  return {
+    data,
+    scenario: {
+      subs,
+      weights: normalizeWeights(data.weights, subs),
+      you: data.you,
+      competitors: data.competitors,
+      model: {
+        ...data.model,
+        thetaMap: data.model.thetaMap ?? DEFAULT_THETA_MAP,
+        probability: { ...DEFAULT_MODEL, ...data.model.probability },
+      },
+      history: data.history ?? [],
+      portfolio: data.portfolio,
+    },
+  };
+};
+
+// Score grid CSV (pillar, item, label, w, You, <rival>...) → { sides: [{ name, scores }] } or
+// { errors }; scores hold only the cells filled in (blank cells are left to the caller)
+export const readScoreGrid = (text, subs = SUBS) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { errors: ["CSV is empty"] };
+  const col = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  if (col.pillar === undefined || col.item === undefined) return { errors: ['CSV needs "pillar" and "item" columns'] };
+  const sides = header
+    .map((h, i) => ({ name: h.trim(), i, scores: {} }))
+    .filter(({ name }) => name && !GRID_FIXED.includes(name.toLowerCase()));
+  if (!sides.length) return { errors: ['CSV has no score columns (add "You" or a competitor name)'] };
+
+  const errors = [];
+  rows.forEach((r, n) => {
+    const line = n + 2;
+    const pk = r[col.pillar]?.trim();
+    const ik = r[col.item]?.trim();
+    if (!subs[pk]?.items.some((it) => it.key === ik)) {
+      errors.push(`Line ${line}: unknown sub‑criterion "${pk}.${ik}"`);
+      return;
+    }
+    for (const side of sides) {
+      const raw = (r[side.i] ?? "").trim();
+      if (raw === "") continue;
+      const v = Number(raw);
+      if (!Number.isFinite(v) || v < 0 || v > 10) errors.push(`Line ${line}, column "${side.name}": "${raw}" is not a score 0–10`);
+      else side.scores[pk] = { ...side.scores[pk], [ik]: v };
+    }
+  });
+  if (errors.length) return { errors };
+  return { sides: sides.map(({ name, scores }) => ({ name, scores })) };
+};
@@ -0,0 +1,305 @@
+// Run with: node --test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_WEIGHTS,
+  SUBS,
+  DEFAULT_THETA_MAP,
+  ScoringInputError,
+  mkDefaultScores,
+  validateFramework,
+  validateWeights,
+  validateScores,
+  normalizeWeights,
+  pillarScore,
+  grandScore01,
+  maturityToTheta,
+  logistic,
+  probabilityToDisplace,
+  marketOutlook,
+  evaluateMarket,
+  DEFAULT_MODEL,
+  PROBABILITY_MODELS,
+  validateModel,
+  normalCdf,
+  floorBreaches,
+  modelProbability,
+  metricToScore,
+  applyMetricMappings,
+  validateMapping,
+  aggregateValues,
+  consensusScores,
+  scoreDisagreement,
+  csvCell,
+  parseCsv,
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  readScenarioJson,
+  readScoreGrid,
+} from "./bewe_scoring_engine.mjs";
+
+const uniform = (v, subs = SUBS) =>
+  Object.fromEntries(Object.entries(subs).map(([pk, def]) => [pk, Object.fromEntries(def.items.map((it) => [it.key, v]))]));
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+test("default framework and weights are normalized", () => {
+  close(Object.values(DEFAULT_WEIGHTS).reduce((a, w) => a + w, 0), 1);
+  for (const def of Object.values(SUBS)) close(def.items.reduce((a, it) => a + it.w, 0), 1);
+  assert.deepEqual(validateFramework(SUBS), []);
+  assert.deepEqual(validateWeights(DEFAULT_WEIGHTS), []);
+});
+
+test("pillarScore is the w‑weighted mean of its sub‑criteria", () => {
+  close(pillarScore("ops", { onboarding: 8, supportSLA: 4, retention: 6, quality: 2 }), 5);
+  close(pillarScore("product", uniform(7).product), 7);
+});
+
+test("grandScore01 maps uniform scores v to v/10, including the edges", () => {
+  for (const v of [0, 3.5, 10]) close(grandScore01(DEFAULT_WEIGHTS, uniform(v)), v / 10);
+});
+
+test("grandScore01 clamps to [0, 1] when weights sum above 1", () => {
+  const heavy = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((pk) => [pk, 1]));
+  assert.equal(grandScore01(heavy, uniform(10)), 1);
+});
+
+test("missing scores and weights throw instead of counting as 0", () => {
+  const scores = uniform(5);
+  delete scores.sales.conversion;
+  assert.throws(() => pillarScore("sales", scores.sales), (e) => e instanceof ScoringInputError && /sales\.conversion/.test(e.message));
+  assert.throws(() => grandScore01(DEFAULT_WEIGHTS, scores), ScoringInputError);
+  const { marketing, ...weights } = DEFAULT_WEIGHTS;
+  assert.throws(() => grandScore01(weights, uniform(5)), /Weight marketing/);
+  assert.throws(() => pillarScore("nope", {}), /Unknown pillar/);
+});
+
+test("validators report every problem", () => {
+  const scores = uniform(5);
+  scores.product.pmf = 11;
+  delete scores.ops.retention;
+  assert.deepEqual(validateScores(scores, SUBS, "you"), [
+    "you.product.pmf must be a number 0–10 (got 11)",
+    "you.ops.retention must be a number 0–10 (got undefined)",
+  ]);
+  assert.equal(validateScores(null).length, 1);
+  assert.equal(validateWeights({ ...DEFAULT_WEIGHTS, sales: -1 }).length, 1);
+  assert.deepEqual(validateWeights(Object.fromEntries(Object.keys(SUBS).map((pk) => [pk, 0]))), ["weights must not all be 0"]);
+  assert.ok(validateFramework({ p: { label: "P", items: [{ key: "a", label: "A", w: 1 }, { key: "a", label: "A", w: 1 }] } })[0].includes("duplicated"));
+});
+
+test("maturityToTheta follows base + slope · maturity/10", () => {
+  close(maturityToTheta(0), 0.1);
+  close(maturityToTheta(10), 0.3);
+  close(maturityToTheta(5, { base: 0, slope: 0.4 }), 0.2);
+  assert.throws(() => maturityToTheta(undefined), ScoringInputError);
+});
+
+test("logistic is the standard sigmoid", () => {
+  assert.equal(logistic(0), 0.5);
+  close(logistic(2) + logistic(-2), 1);
+  close(logistic(1), 1 / (1 + Math.E ** -1));
+  assert.equal(logistic(1000), 1);
+  assert.equal(logistic(-1000), 0);
+});
+
+test("probabilityToDisplace is 50% exactly at the threshold and monotone in the advantage", () => {
+  const theta = maturityToTheta(6, DEFAULT_THETA_MAP);
+  close(probabilityToDisplace({ you01: 0.5 + theta, comp01: 0.5, maturity: 6, k: 8 }), 0.5);
+  const ps = [0, 0.25, 0.5, 0.75, 1].map((you01) => probabilityToDisplace({ you01, comp01: 0.5 }));
+  ps.forEach((p, i) => i && assert.ok(p > ps[i - 1]));
+  close(probabilityToDisplace({ you01: 0.6, comp01: 0.5, shock: 0.1 }), probabilityToDisplace({ you01: 0.7, comp01: 0.5 }));
+  assert.throws(() => probabilityToDisplace({ you01: 0.5, comp01: undefined }), /comp01/);
+  assert.throws(() => probabilityToDisplace({ you01: 0.5, comp01: 0.5, k: NaN }), /k must be/);
+});
+
+test("marketOutlook picks the strongest rival and multiplies head‑to‑heads", () => {
+  const o = marketOutlook({ you01: 0.7, rivals: [{ name: "A", score01: 0.4 }, { name: "B", score01: 0.6 }], maturity: 6, k: 8, shock: 0 });
+  assert.equal(o.leader.name, "B");
+  close(o.pLeader, o.rows[1].p);
+  close(o.pAll, o.rows[0].p * o.rows[1].p);
+  assert.equal(marketOutlook({ you01: 0.5, rivals: [], maturity: 6, k: 8, shock: 0 }).pAll, 0);
+});
+
+test("evaluateMarket validates the whole input and scores every rival", () => {
+  const r = evaluateMarket({ you: uniform(8), competitors: [{ name: "Rival", scores: mkDefaultScores() }] });
+  close(r.you01, 0.8);
+  assert.equal(r.rows[0].name, "Rival");
+  assert.ok(r.pLeader > 0.5);
+  assert.throws(
+    () => evaluateMarket({ you: {}, competitors: [], k: "8" }),
+    (e) => e instanceof ScoringInputError && e.errors.some((m) => m.startsWith("you.")) && e.errors.includes("competitors must be a non‑empty array") && e.errors.includes("k must be a finite number")
+  );
+});
+
+test("modelProbability: logistic is probabilityToDisplace; probit and Bradley–Terry are 50% at the threshold", () => {
+  const h = { you01: 0.7, comp01: 0.5, maturity: 6, k: 8, shock: 0 };
+  assert.equal(modelProbability(h), probabilityToDisplace(h));
+  const theta = maturityToTheta(6);
+  const even = { ...h, you01: 0.5 + theta };
+  close(modelProbability(even, { ...DEFAULT_MODEL, kind: "probit" }), 0.5, 1e-6);
+  close(modelProbability(even, { ...DEFAULT_MODEL, kind: "bradleyTerry" }), 0.5);
+  // Probit tracks the logistic near the midpoint and has thinner tails
+  const near = { ...h, you01: 0.5 + theta + 0.02 };
+  close(modelProbability(near, { ...DEFAULT_MODEL, kind: "probit" }), probabilityToDisplace(near), 0.01);
+  const far = { ...h, you01: 1 };
+  assert.ok(modelProbability(far, { ...DEFAULT_MODEL, kind: "probit" }) > probabilityToDisplace(far));
+  close(normalCdf(0), 0.5, 1e-7);
+  close(normalCdf(1.959964), 0.975, 1e-6);
+  close(normalCdf(-1) + normalCdf(1), 1, 1e-7);
+});
+
+test("floors model cuts P for every pillar or sub‑criterion below its floor", () => {
+  const you = uniform(8);
+  you.product.dataSecurity = 2;
+  const model = { kind: "floors", floors: { ops: 9, nope: 5 }, itemFloors: { product: { dataSecurity: 4, nope: 1 } }, penalty: 0.25 };
+  assert.deepEqual(
+    floorBreaches(you, SUBS, model).map((b) => [b.pillar, b.item, b.shortfall]),
+    [["ops", undefined, 1], ["product", "dataSecurity", 2]]
+  );
+  const h = { you01: 0.8, comp01: 0.5, maturity: 6, k: 8, shock: 0, you, subs: SUBS };
+  close(modelProbability(h, model), probabilityToDisplace(h) * 0.75 * 0.5);
+  assert.equal(modelProbability(h, { ...model, penalty: 1 }), 0);
+  assert.equal(modelProbability({ ...h, you: uniform(9) }, model), probabilityToDisplace(h));
+});
+
+test("validateModel and evaluateMarket reject malformed models", () => {
+  assert.deepEqual(validateModel(DEFAULT_MODEL), []);
+  assert.equal(validateModel({ kind: "magic" }).length, 1);
+  assert.equal(validateModel({ kind: "floors", floors: { ops: 11 }, itemFloors: {}, penalty: -1 }).length, 2);
+  assert.equal(validateModel({ kind: "bradleyTerry", beta: 0 }).length, 1);
+  const inputs = { you: uniform(8), competitors: [{ name: "Rival", scores: uniform(5) }] };
+  assert.throws(() => evaluateMarket({ ...inputs, model: { kind: "bradleyTerry" } }), /model\.beta/);
+  const veto = evaluateMarket({ ...inputs, model: { kind: "floors", floors: { ops: 10 }, itemFloors: {}, penalty: 1 } });
+  assert.equal(veto.pLeader, 0);
+});
+
+test("normalizeWeights rescales to a sum of 1", () => {
+  const w = normalizeWeights(Object.fromEntries(Object.keys(SUBS).map((pk) => [pk, 2])));
+  for (const v of Object.values(w)) close(v, 1 / Object.keys(SUBS).length);
+});
+
+test("CSV helpers round‑trip quotes, commas and CRLF", () => {
+  const row = ["a", 'say "hi"', "x,y", 3];
+  assert.deepEqual(parseCsv(`${row.map(csvCell).join(",")}\r\n\r\nb,,c\n`), [["a", 'say "hi"', "x,y", "3"], ["b", "", "c"]]);
+});
+
+test("readScenarioJson validates the core and normalizes weights and the model", () => {
+  const file = {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    weights: { ...DEFAULT_WEIGHTS, product: 0.6 },
+    you: uniform(7),
+    competitors: [{ name: "Acme", scores: uniform(5) }],
+    model: { maturity: 6, steepness: 8, shock: 0 },
+  };
+  const { scenario, errors } = readScenarioJson(JSON.stringify(file));
+  assert.equal(errors, undefined);
+  close(Object.values(scenario.weights).reduce((a, w) => a + w, 0), 1);
+  assert.deepEqual(scenario.model.thetaMap, DEFAULT_THETA_MAP);
+  assert.deepEqual(scenario.model.probability, DEFAULT_MODEL);
+  assert.deepEqual(scenario.history, []);
+  const probit = readScenarioJson(JSON.stringify({ ...file, model: { ...file.model, probability: { kind: "probit" } } }));
+  assert.deepEqual(probit.scenario.model.probability, { ...DEFAULT_MODEL, kind: "probit" });
+  assert.deepEqual(readScenarioJson(JSON.stringify({ ...file, model: { ...file.model, probability: { kind: "unknown" } } })).errors, [
+    `model.probability.kind must be one of ${PROBABILITY_MODELS.join(", ")}`,
+  ]);
+
+  assert.deepEqual(readScenarioJson(JSON.stringify({ ...file, competitors: [{ scores: uniform(5) }], history: {} })).errors, [
+    "competitors[0].name must be a string",
+    "history must be an array",
+  ]);
+  const portfolio = { activeId: "m1", markets: [{ id: "m1", size: 1, maturity: 6, shock: 0, competitors: [] }, null] };
+  assert.deepEqual(readScenarioJson(JSON.stringify({ ...file, portfolio })).errors, [
+    'portfolio.markets[0] must have a string "id" and "name"',
+    'portfolio.markets[1] must have a string "id" and "name"',
+  ]);
+  assert.match(readScenarioJson("{").errors[0], /Not valid JSON/);
+  assert.match(readScenarioJson(JSON.stringify({ ...file, version: SCENARIO_VERSION + 1 })).errors[0], /reads up to/);
+});
+
+test("readScoreGrid returns only the filled cells and reports bad rows", () => {
+  const { sides } = readScoreGrid("pillar,item,label,w,You,Acme\nproduct,pmf,PMF,1,7,\nsales,coverage,Coverage,1,3,4\n");
+  assert.deepEqual(sides, [
+    { name: "You", scores: { product: { pmf: 7 }, sales: { coverage: 3 } } },
+    { name: "Acme", scores: { sales: { coverage: 4 } } },
+  ]);
+  assert.deepEqual(readScoreGrid("pillar,item,You\nproduct,nope,1\nproduct,pmf,11\n").errors, [
+    'Line 2: unknown sub‑criterion "product.nope"',
+    'Line 3, column "You": "11" is not a score 0–10',
+  ]);
+  assert.deepEqual(readScoreGrid("pillar,item,label\n").errors, ['CSV has no score columns (add "You" or a competitor name)']);
+});
+
+test("metricToScore: linear maps lo → 0 and hi → 10, clamped, either direction", () => {
+  const uptime = { metric: "Uptime", curve: "linear", lo: 99, hi: 99.99 };
+  assert.equal(metricToScore(99, uptime), 0);
+  assert.equal(metricToScore(99.99, uptime), 10);
+  assert.equal(metricToScore(100, uptime), 10);
+  assert.equal(metricToScore(90, uptime), 0);
+  close(metricToScore(2.75, { metric: "Churn", curve: "linear", lo: 5, hi: 0.5 }), 5);
+});
+
+test("metricToScore: thresholds pick the best step reached", () => {
+  const sla = { metric: "Resolution", curve: "thresholds", direction: "lower", steps: [{ at: 2, score: 10 }, { at: 8, score: 6 }, { at: 24, score: 3 }] };
+  assert.equal(metricToScore(1, sla), 10);
+  assert.equal(metricToScore(2, sla), 10);
+  assert.equal(metricToScore(5, sla), 6);
+  assert.equal(metricToScore(48, sla), 0);
+  const win = { metric: "Win rate", curve: "thresholds", direction: "higher", steps: [{ at: 20, score: 5 }, { at: 30, score: 9 }] };
+  assert.equal(metricToScore(25, win), 5);
+  assert.equal(metricToScore(30, win), 9);
+});
+
+test("metricToScore: percentile against a benchmark, ties count half", () => {
+  const m = { metric: "Win rate", curve: "percentile", direction: "higher", benchmark: [10, 20, 30, 40] };
+  assert.equal(metricToScore(5, m), 0);
+  assert.equal(metricToScore(25, m), 5);
+  assert.equal(metricToScore(30, m), 6.25);
+  assert.equal(metricToScore(50, m), 10);
+  assert.equal(metricToScore(25, { ...m, direction: "lower" }), 5);
+});
+
+test("metric mappings validate and only replace mapped scores with a metric value", () => {
+  assert.equal(validateMapping({ metric: "x", curve: "linear", lo: 1, hi: 1 }).length, 1);
+  assert.equal(validateMapping({ metric: "x", curve: "spline" }).length, 1);
+  assert.throws(() => metricToScore(1, { metric: "x", curve: "percentile", direction: "up", benchmark: [] }), ScoringInputError);
+  const scores = mkDefaultScores();
+  const maps = { product: { reliability: { metric: "Uptime", curve: "linear", lo: 99, hi: 100 } }, sales: { conversion: { metric: "Win", curve: "linear", lo: 0, hi: 50 } } };
+  const next = applyMetricMappings(scores, SUBS, maps, { product: { reliability: 99.5 } });
+  assert.equal(next.product.reliability, 5);
+  assert.equal(next.sales.conversion, scores.sales.conversion);
+  assert.equal(next.product.pmf, scores.product.pmf);
+});
+
+test("aggregateValues: mean, median and weighted mean", () => {
+  const e = [{ value: 2, weight: 1 }, { value: 4, weight: 1 }, { value: 9, weight: 2 }];
+  close(aggregateValues(e, "mean"), 5);
+  assert.equal(aggregateValues(e, "median"), 4);
+  assert.equal(aggregateValues(e.slice(0, 2), "median"), 3);
+  close(aggregateValues(e, "weighted"), 6);
+  close(aggregateValues([{ value: 3, weight: 0 }, { value: 5, weight: 0 }], "weighted"), 4);
+  assert.throws(() => aggregateValues([], "mean"), ScoringInputError);
+  assert.throws(() => aggregateValues(e, "mode"), /Unknown aggregation/);
+});
+
+test("consensusScores aggregates only the assessors who scored an item", () => {
+  const fallback = mkDefaultScores();
+  const grids = [
+    { scores: { product: { pmf: 8 } }, weights: { product: 3 } },
+    { scores: { product: { pmf: 4, ux: 2 } }, weights: { product: 1 } },
+  ];
+  const mean = consensusScores(grids, SUBS, "mean", fallback);
+  assert.equal(mean.product.pmf, 6);
+  assert.equal(mean.product.ux, 2);
+  assert.equal(mean.product.reliability, fallback.product.reliability);
+  assert.equal(consensusScores(grids, SUBS, "weighted", fallback).product.pmf, 7);
+});
+
+test("scoreDisagreement ranks items by the spread between assessors", () => {
+  const grids = [{ scores: { product: { pmf: 8, ux: 5 }, sales: { coverage: 3 } } }, { scores: { product: { pmf: 2, ux: 6 } } }];
+  const d = scoreDisagreement(grids, SUBS);
+  assert.deepEqual(d.map((x) => [x.item, x.range]), [["pmf", 6], ["ux", 1]]);
+  close(d[0].sd, 3);
+});
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Bewe workspace sync server
+ * -------------------------------------------------------------
+ * A small self‑hosted HTTP API that shares the simulator's workspaces within a team. The UI
+ * keeps working offline from IndexedDB; when connected it pulls newer revisions and pushes
+ * local edits. No dependencies beyond Node itself.
+ *
+ * Usage
+ *   node bewe_sync_server.mjs [--port 8787] [--host 127.0.0.1] [--data ./bewe-workspaces] [--token <secret>]
+ *
+ * API (JSON; CORS open so the UI can be served from anywhere)
+ * - GET    /workspaces      → { workspaces: [{ id, name, updatedAt, rev } or { id, updatedAt, rev, deleted: true }] }
+ * - GET    /workspaces/:id  → { id, name, updatedAt, rev, scenario }
+ * - PUT    /workspaces/:id  ← { name, scenario, baseRev } → the stored record (rev + 1).
+ *   baseRev is the revision the edit started from; if the server has moved on, nothing is
+ *   written and the answer is 409 { error, current } (current without the scenario), so the
+ *   client can choose between its copy and the server's. Creating a new id accepts any baseRev.
+ * - DELETE /workspaces/:id  → 204; the workspace becomes a tombstone (rev + 1) that stays in the
+ *   list, so clients that still hold a copy drop it instead of pushing it back
+ * - GET, PUT on a deleted id → 410 { error, current } (current is the tombstone); a deleted id
+ *   is never recreated
+ *
+ * Storage
+ * - One JSON file per workspace in --data, replaced atomically (write + rename); writes to the
+ *   same workspace are serialized so revisions never skip or repeat
+ *
+ * Auth
+ * - With --token (or BEWE_SYNC_TOKEN) every request needs "Authorization: Bearer <token>";
+ *   without one the server is open to anyone who can reach it, so bind it to a trusted network
+ *
+ * Embedding
+ *   import { createSyncServer } from "./bewe_sync_server.mjs";
+ *   const server = await createSyncServer({ data: "./bewe-workspaces", token });
+ *   server.listen(8787);
+ */
+import { createServer } from "node:http";
+import { mkdir, readFile, readdir, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { SCENARIO_FORMAT } from "./bewe_scoring_engine.mjs";
+
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_BODY = 20 * 1024 * 1024;
+
+const USAGE = `Usage: node bewe_sync_server.mjs [options]
+
+Options
+  --port <number>   Port to listen on (default: 8787)
+  --host <address>  Address to bind (default: 127.0.0.1; 0.0.0.0 for the whole network)
+  --data <dir>      Directory for workspace files (default: ./bewe-workspaces)
+  --token <secret>  Require "Authorization: Bearer <secret>" (default: $BEWE_SYNC_TOKEN)
+  -h, --help        Show this help`;
+
+class HttpError extends Error {
+  constructor(status, message, extra) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// ----- Storage -----
+const openStore = async (dir) => {
+  await mkdir(dir, { recursive: true });
+  const file = (id) => join(dir, `${id}.json`);
+  const queues = new Map(); // id → tail of its write chain
+
+  const get = async (id) => {
+    try {
+      return JSON.parse(await readFile(file(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+
+  const write = async (rec) => {
+    const tmp = `${file(rec.id)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(rec));
+    await rename(tmp, file(rec.id));
+    return rec;
+  };
+
+  const serialized = (id, fn) => {
+    const run = (queues.get(id) ?? Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => queues.get(id) === tail && queues.delete(id));
+    return run;
+  };
+
+  return {
+    get,
+    list: async () => {
+      const names = (await readdir(dir)).filter((n) => n.endsWith(".json") && ID_RE.test(n.slice(0, -5)));
+      const records = await Promise.all(names.map((n) => get(n.slice(0, -5)).catch(() => null)));
+      return records.filter(Boolean).map(({ scenario: _, ...meta }) => meta);
+    },
+    put: (id, { name, scenario, baseRev }) =>
+      serialized(id, async () => {
+        const current = await get(id);
+        if (current?.deleted) throw gone(current);
+        if (current && current.rev !== baseRev) {
+          const { scenario: _, ...meta } = current;
+          throw new HttpError(409, `Workspace ${id} is at rev ${current.rev}, not ${baseRev}`, { current: meta });
+        }
+        return write({ id, name, updatedAt: new Date().toISOString(), rev: (current?.rev ?? 0) + 1, scenario });
+      }),
+    // Leaves a tombstone rather than removing the file (deleting twice is a no‑op)
+    remove: (id) =>
+      serialized(id, async () => {
+        const current = await get(id);
+        if (current && !current.deleted) await write({ id, updatedAt: new Date().toISOString(), rev: current.rev + 1, deleted: true });
+      }),
+  };
+};
+
+const gone = (tombstone) => new HttpError(410, `Workspace ${tombstone.id} was deleted`, { current: tombstone });
+
+// ----- HTTP -----
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new HttpError(413, `Body is larger than ${MAX_BODY / 1024 / 1024} MB`));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        reject(new HttpError(400, `Not valid JSON: ${e.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const validatePut = (body) => {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["Body must be an object"];
+  if (typeof body.name !== "string" || !body.name.trim()) errors.push("name must be a non‑empty string");
+  if (body.scenario?.format !== SCENARIO_FORMAT) errors.push(`scenario must be a "${SCENARIO_FORMAT}" object`);
+  if (!Number.isInteger(body.baseRev) || body.baseRev < 0) errors.push("baseRev must be a non‑negative integer");
+  return errors;
+};
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const send = (res, status, body) => {
+  if (body === undefined) {
+    res.writeHead(status, CORS).end();
+    return;
+  }
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" }).end(JSON.stringify(body));
+};
+
+const handle = async (store, token, req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (token && req.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, "Missing or wrong token");
+
+  const path = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "");
+  if (path === "/workspaces") {
+    if (req.method !== "GET") throw new HttpError(405, `${req.method} is not allowed on /workspaces`);
+    return send(res, 200, { workspaces: await store.list() });
+  }
+  const m = path.match(/^\/workspaces\/([^/]+)$/);
+  if (!m) throw new HttpError(404, `No route for ${path || "/"}`);
+  let id;
+  try {
+    id = decodeURIComponent(m[1]);
+  } catch (e) {
+    throw new HttpError(400, `Bad escape in workspace id: ${e.message}`);
+  }
+  if (!ID_RE.test(id)) throw new HttpError(400, "Workspace ids are 1–64 letters, digits, - or _");
+
+  if (req.method === "GET") {
+    const rec = await store.get(id);
+    if (!rec) throw new HttpError(404, `No workspace ${id}`);
+    if (rec.deleted) throw gone(rec);
+    return send(res, 200, rec);
+  }
+  if (req.method === "PUT") {
+    const body = await readBody(req);
+    const errors = validatePut(body);
+    if (errors.length) throw new HttpError(400, errors.join("; "));
+    return send(res, 200, await store.put(id, body));
+  }
+  if (req.method === "DELETE") {
+    await store.remove(id);
+    return send(res, 204);
+  }
+  throw new HttpError(405, `${req.method} is not allowed on workspaces`);
+};
+
+// An http.Server (not listening yet) over the workspace files in `data`
+export const createSyncServer = async ({ data, token = "" }) => {
+  const store = await openStore(data);
+  return createServer((req, res) =>
+    handle(store, token, req, res).catch((e) => {
+      if (!(e instanceof HttpError)) console.error(e);
+      const status = e instanceof HttpError ? e.status : 500;
+      if (!res.headersSent) send(res, status, { error: e instanceof HttpError ? e.message : "Internal error", ...e.extra });
+    })
+  );
+};
+
+// ----- Main -----
+const main = async (argv) => {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      options: {
+        port: { type: "string", default: "8787" },
+        host: { type: "string", default: "127.0.0.1" },
+        data: { type: "string", default: "./bewe-workspaces" },
+        token: { type: "string", default: process.env.BEWE_SYNC_TOKEN ?? "" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error("--port must be an integer from 0 to 65535");
+    return 2;
+  }
+
+  const server = await createSyncServer({ data: values.data, token: values.token });
+  server.listen(port, values.host, () => {
+    const { port: bound } = server.address();
+    console.log(`Bewe sync server on http://${values.host}:${bound} (data: ${values.data}${values.token ? ", token required" : ""})`);
+  });
+  return new Promise((resolve) => server.on("close", () => resolve(0)));
+};
+
+// Only when run as a script, so tests and other servers can import createSyncServer
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,84 @@
+// Run with: node --test
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SCENARIO_FORMAT, SCENARIO_VERSION } from "./bewe_scoring_engine.mjs";
+import { createSyncServer } from "./bewe_sync_server.mjs";
+
+const TOKEN = "secret";
+let dir;
+let server;
+let base;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "bewe-sync-"));
+  server = await createSyncServer({ data: dir, token: TOKEN });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const call = async (method, path, body, token = TOKEN) => {
+  const res = await fetch(base + path, {
+    method,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+};
+
+const scenario = (note) => ({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, note });
+
+test("PUT creates a workspace at rev 1 and each accepted write bumps the rev", async () => {
+  const created = await call("PUT", "/workspaces/w1", { name: "Madrid", scenario: scenario("a"), baseRev: 0 });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.rev, 1);
+  const next = await call("PUT", "/workspaces/w1", { name: "Madrid", scenario: scenario("b"), baseRev: 1 });
+  assert.equal(next.body.rev, 2);
+
+  const { body } = await call("GET", "/workspaces/w1");
+  assert.deepEqual([body.rev, body.scenario.note], [2, "b"]);
+  const list = await call("GET", "/workspaces");
+  assert.deepEqual(list.body.workspaces.map((w) => [w.id, w.name, w.rev]), [["w1", "Madrid", 2]]);
+});
+
+test("PUT with a stale baseRev is rejected with 409 and the current revision", async () => {
+  await call("PUT", "/workspaces/w2", { name: "Lisbon", scenario: scenario("a"), baseRev: 0 });
+  await call("PUT", "/workspaces/w2", { name: "Lisbon", scenario: scenario("theirs"), baseRev: 1 });
+  const stale = await call("PUT", "/workspaces/w2", { name: "Lisbon", scenario: scenario("mine"), baseRev: 1 });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.current.rev, 2);
+  assert.equal(stale.body.current.scenario, undefined);
+  assert.equal((await call("GET", "/workspaces/w2")).body.scenario.note, "theirs");
+});
+
+test("DELETE leaves a listed tombstone that a push cannot bring back", async () => {
+  await call("PUT", "/workspaces/w3", { name: "Porto", scenario: scenario("a"), baseRev: 0 });
+  assert.equal((await call("DELETE", "/workspaces/w3")).status, 204);
+  assert.equal((await call("DELETE", "/workspaces/w3")).status, 204);
+  const listed = (await call("GET", "/workspaces")).body.workspaces.find((w) => w.id === "w3");
+  assert.deepEqual([listed.rev, listed.deleted, listed.name], [2, true, undefined]);
+
+  assert.equal((await call("GET", "/workspaces/w3")).status, 410);
+  for (const baseRev of [1, 2]) {
+    const push = await call("PUT", "/workspaces/w3", { name: "Porto", scenario: scenario("b"), baseRev });
+    assert.deepEqual([push.status, push.body.current.deleted], [410, true]);
+  }
+  assert.equal((await call("DELETE", "/workspaces/never")).status, 204);
+  assert.equal((await call("GET", "/workspaces/never")).status, 404);
+});
+
+test("bad requests get 4xx answers, not server errors", async () => {
+  assert.equal((await call("GET", "/workspaces", undefined, "")).status, 401);
+  assert.equal((await call("GET", "/workspaces/%E0")).status, 400);
+  assert.equal((await call("GET", "/workspaces/a.b")).status, 400);
+  const invalid = await call("PUT", "/workspaces/w4", { name: "", scenario: {}, baseRev: -1 });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /name.*scenario.*baseRev/);
+});
@@ -0,0 +1,116 @@
+/**
+ * Bewe workspace sync client
+ * -------------------------------------------------------------
+ * How the simulator stores workspace records and exchanges them with bewe_sync_server.mjs.
+ * No React, no DOM (only fetch); the UI passes its IndexedDB store, tests an in‑memory one.
+ *
+ * Shapes
+ * - Record: { id, name, updatedAt, scenario, rev (server revision it is based on, 0 = never
+ *   synced), dirty (local edits not on the server yet) }
+ * - Store:  { get(id), put(rec), remove(id) }, all async
+ * - Sync:   { url, token }
+ *
+ * Ordering
+ * - Every write to one record (save, push, pull, forget, remove) runs after the previous one
+ *   finished and starts from the latest stored copy, so an autosave made while a push is in
+ *   flight keeps the revision that push stores, and the next push does not conflict with our
+ *   own last one
+ *
+ * Deletions
+ * - The server keeps a tombstone for a deleted workspace and refuses pushes to it (410); forget
+ *   drops the local copy, or moves unpushed edits to a new id so they sync as a new workspace
+ */
+
+// Sync server client: { data } on success, { conflict } on 409, { gone } (the tombstone) on 410,
+// throws on anything else
+export const syncRequest = async ({ url, token }, path, { method = "GET", body } = {}) => {
+  let res;
+  try {
+    res = await fetch(`${url.replace(/\/+$/, "")}${path}`, {
+      method,
+      headers: { ...(body ? { "Content-Type": "application/json" } : {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (e) {
+    throw new Error(`Sync server unreachable (${e.message})`);
+  }
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (res.status === 409) return { conflict: data.current };
+  if (res.status === 410) return { gone: data.current };
+  if (!res.ok) throw new Error(data?.error ?? `Sync server answered ${res.status}`);
+  return { data };
+};
+
+export const createWorkspaceRecords = (store) => {
+  const queues = new Map(); // id → tail of its write chain
+
+  const serialized = (id, fn) => {
+    const run = (queues.get(id) ?? Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => queues.get(id) === tail && queues.delete(id));
+    return run;
+  };
+
+  return {
+    // Stores a record as given (new workspaces, or the server's copy chosen over ours)
+    put: (rec) =>
+      serialized(rec.id, async () => {
+        await store.put(rec);
+        return rec;
+      }),
+
+    // A local edit: { name, scenario } over the latest stored copy; null if it was deleted
+    save: (id, { name, scenario }) =>
+      serialized(id, async () => {
+        const latest = await store.get(id);
+        if (!latest) return null;
+        const rec = { ...latest, name, scenario, updatedAt: new Date().toISOString(), dirty: true };
+        await store.put(rec);
+        return rec;
+      }),
+
+    // The server's copy, unless local edits are waiting to be pushed: { rec } or { kept }
+    pull: (rec) =>
+      serialized(rec.id, async () => {
+        const latest = await store.get(rec.id);
+        if (latest?.dirty) return { kept: latest };
+        const next = { ...rec, dirty: false };
+        await store.put(next);
+        return { rec: next };
+      }),
+
+    // Sends the latest stored copy: { rec }, { conflict }, { deleted } (on the server) or {} if
+    // there is nothing to send. baseRev overrides the stored rev to overwrite a server copy we were shown
+    push: (id, sync, baseRev) =>
+      serialized(id, async () => {
+        const latest = await store.get(id);
+        if (!latest) return {};
+        const body = { name: latest.name, scenario: latest.scenario, baseRev: baseRev ?? latest.rev };
+        const res = await syncRequest(sync, `/workspaces/${encodeURIComponent(id)}`, { method: "PUT", body });
+        if (res.conflict) return { conflict: res.conflict };
+        if (res.gone) return { deleted: true };
+        const rec = { ...latest, rev: res.data.rev, dirty: false };
+        await store.put(rec);
+        return { rec };
+      }),
+
+    // Deleted on the server: {} if there was no local copy, { removed } if it had nothing
+    // unpushed, else { rec } — the edits under newId at rev 0, to be pushed as a new workspace
+    forget: (id, newId) =>
+      serialized(id, async () => {
+        const latest = await store.get(id);
+        if (!latest) return {};
+        if (latest.dirty) {
+          const rec = { ...latest, id: newId, rev: 0 };
+          await store.put(rec);
+          await store.remove(id);
+          return { rec };
+        }
+        await store.remove(id);
+        return { removed: true };
+      }),
+
+    remove: (id) => serialized(id, () => store.remove(id)),
+  };
+};
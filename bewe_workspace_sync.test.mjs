@@ -0,0 +1,122 @@
+// Run with: node --test
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SCENARIO_FORMAT, SCENARIO_VERSION } from "./bewe_scoring_engine.mjs";
+import { createSyncServer } from "./bewe_sync_server.mjs";
+import { syncRequest, createWorkspaceRecords } from "./bewe_workspace_sync.mjs";
+
+let dir;
+let server;
+let sync;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "bewe-workspaces-"));
+  server = await createSyncServer({ data: dir });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  sync = { url: `http://127.0.0.1:${server.address().port}/`, token: "" };
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+// Stands in for IndexedDB: async, and stores copies rather than the caller's objects
+const memoryStore = () => {
+  const recs = new Map();
+  return {
+    get: async (id) => (recs.has(id) ? structuredClone(recs.get(id)) : undefined),
+    put: async (rec) => void recs.set(rec.id, structuredClone(rec)),
+    remove: async (id) => void recs.delete(id),
+  };
+};
+
+const scenario = (note) => ({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, note });
+const blank = (id) => ({ id, name: "Madrid", updatedAt: new Date().toISOString(), scenario: scenario("new"), rev: 0, dirty: true });
+
+test("an autosave made while a push is in flight keeps the pushed rev and syncs without a conflict", async () => {
+  const store = memoryStore();
+  const records = createWorkspaceRecords(store);
+  await records.put(blank("race"));
+
+  await records.save("race", { name: "Madrid", scenario: scenario("first") });
+  const firstPush = records.push("race", sync);
+  // The user keeps editing before the first push has answered
+  const saved = records.save("race", { name: "Madrid", scenario: scenario("second") });
+  const secondPush = records.push("race", sync);
+
+  assert.equal((await firstPush).rec.rev, 1);
+  assert.equal((await saved).rev, 1);
+  const second = await secondPush;
+  assert.equal(second.conflict, undefined);
+  assert.equal(second.rec.rev, 2);
+
+  const stored = await store.get("race");
+  assert.deepEqual([stored.rev, stored.dirty, stored.scenario.note], [2, false, "second"]);
+  const { data } = await syncRequest(sync, "/workspaces/race");
+  assert.deepEqual([data.rev, data.scenario.note], [2, "second"]);
+});
+
+test("a push based on an older server revision reports the conflict and leaves the local copy dirty", async () => {
+  const mine = createWorkspaceRecords(memoryStore());
+  const theirs = createWorkspaceRecords(memoryStore());
+  await mine.put(blank("shared"));
+  await mine.push("shared", sync);
+  const { data } = await syncRequest(sync, "/workspaces/shared");
+  await theirs.pull(data);
+  await theirs.save("shared", { name: "Madrid", scenario: scenario("theirs") });
+  await theirs.push("shared", sync);
+
+  const local = await mine.save("shared", { name: "Madrid", scenario: scenario("mine") });
+  const res = await mine.push("shared", sync);
+  assert.equal(res.conflict.rev, 2);
+  assert.equal(local.dirty, true);
+  // Keeping ours overwrites the revision we were shown
+  assert.equal((await mine.push("shared", sync, res.conflict.rev)).rec.rev, 3);
+});
+
+test("pull keeps local edits that are not pushed yet", async () => {
+  const store = memoryStore();
+  const records = createWorkspaceRecords(store);
+  await records.put({ ...blank("pulled"), dirty: false });
+  const remote = { ...blank("pulled"), rev: 4, scenario: scenario("remote") };
+  assert.equal((await records.pull(remote)).rec.rev, 4);
+
+  await records.save("pulled", { name: "Madrid", scenario: scenario("local") });
+  const res = await records.pull({ ...remote, rev: 5 });
+  assert.equal(res.kept.scenario.note, "local");
+  assert.equal((await store.get("pulled")).rev, 4);
+});
+
+test("a save after the workspace was removed does not bring it back", async () => {
+  const store = memoryStore();
+  const records = createWorkspaceRecords(store);
+  await records.put(blank("gone"));
+  const removed = records.remove("gone");
+  assert.equal(await records.save("gone", { name: "Madrid", scenario: scenario("late") }), null);
+  await removed;
+  assert.equal(await store.get("gone"), undefined);
+});
+
+test("a workspace deleted on the server is forgotten, and unpushed edits move to a new id", async () => {
+  const store = memoryStore();
+  const records = createWorkspaceRecords(store);
+  for (const id of ["clean", "edited"]) {
+    await records.put(blank(id));
+    await records.push(id, sync);
+    await syncRequest(sync, `/workspaces/${id}`, { method: "DELETE" });
+  }
+  assert.deepEqual(await records.forget("clean", "unused"), { removed: true });
+  assert.equal(await store.get("clean"), undefined);
+
+  await records.save("edited", { name: "Madrid", scenario: scenario("late") });
+  assert.deepEqual(await records.push("edited", sync), { deleted: true });
+  const { rec } = await records.forget("edited", "edited2");
+  assert.deepEqual([rec.id, rec.rev, rec.dirty, rec.scenario.note], ["edited2", 0, true, "late"]);
+  assert.equal(await store.get("edited"), undefined);
+  assert.equal((await records.push("edited2", sync)).rec.rev, 1);
+  assert.equal((await syncRequest(sync, "/workspaces/edited")).gone.deleted, true);
+});